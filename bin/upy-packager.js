@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { PackagerCLI } from '../logic/packager-cli.js';
+
+const cli = new PackagerCLI();
+process.exitCode = await cli.run(process.argv.slice(2));
@@ -1,9 +1,18 @@
-import { MPyCrossCompiler } from './logic/mpy-cross-compiler.js';
+import { MPyCrossCompiler, CompilationError } from './logic/mpy-cross-compiler.js';
 import { PackageInstaller } from './logic/package-installer.js';
-import { RepositoryArchiver, ArchiveResult } from './logic/repository-archiver.js';
+import { RepositoryArchiver, ArchiveResult, MICROPYTHON_LIB_INDEX } from './logic/repository-archiver.js';
 import { Packager } from './logic/packager.js';
 import { getMicroPythonVersionFromPort } from './logic/board-helpers.js';
-import { isCustomPackage } from './logic/url-helpers.js';
+import { isCustomPackage, isLocalPackage } from './logic/url-helpers.js';
 import { SerialDevice, SerialDeviceFinder } from './logic/serial-device-finder.js';
+import { PackageManifest } from './logic/package-manifest.js';
+import { DependencyResolver, DependencyGraph, DependencyResolutionError } from './logic/dependency-resolver.js';
+import { Lockfile } from './logic/lockfile.js';
+import { PackageCache } from './logic/package-cache.js';
+import { AuthTokens } from './logic/auth-tokens.js';
+import { HostAdapter, HostAdapterRegistry, createHostAdapter } from './logic/host-adapters.js';
+import { CompilerRegistry } from './logic/compiler-registry.js';
+import { ProgressReporter, SilentReporter, ConsoleReporter, EventReporter } from './logic/progress-reporter.js';
+import { BoardTransport, SerialTransport, TcpTransport, WebREPLTransport, createTransport } from './logic/board-transport.js';
 
-export { MPyCrossCompiler, PackageInstaller, RepositoryArchiver, ArchiveResult, Packager, getMicroPythonVersionFromPort, isCustomPackage, SerialDevice, SerialDeviceFinder };
\ No newline at end of file
+export { MPyCrossCompiler, CompilationError, PackageInstaller, RepositoryArchiver, ArchiveResult, Packager, getMicroPythonVersionFromPort, isCustomPackage, isLocalPackage, SerialDevice, SerialDeviceFinder, PackageManifest, DependencyResolver, DependencyGraph, DependencyResolutionError, Lockfile, PackageCache, AuthTokens, HostAdapter, HostAdapterRegistry, createHostAdapter, MICROPYTHON_LIB_INDEX, CompilerRegistry, ProgressReporter, SilentReporter, ConsoleReporter, EventReporter, BoardTransport, SerialTransport, TcpTransport, WebREPLTransport, createTransport };
\ No newline at end of file
@@ -0,0 +1,106 @@
+import { HostAdapterRegistry } from './host-adapters.js';
+
+/**
+ * Class to manage the access tokens used to download files from private repositories.
+ * Tokens are only ever sent as request headers to the host they belong to.
+ * They are never added to URLs so that they can't end up in logs or package.json files.
+ */
+class AuthTokens {
+
+  /**
+   * Creates a new AuthTokens instance
+   * @param {Object<string, string>} tokens The access tokens keyed by host scheme e.g. { github: 'ghp_...', gitlab: 'glpat-...' }.
+   * Hosts without a token fall back to the environment variable of their adapter e.g. GITHUB_TOKEN or GITLAB_TOKEN.
+   * @param {HostAdapterRegistry} hostAdapters The configured hosts. Defaults to GitHub, GitLab and Bitbucket.
+   * @param {Object<string, Array<string>>} allowedRepositories The repositories the tokens may be used for keyed by host scheme.
+   * Entries are either 'owner/repo' or 'owner/*' for all repositories of an owner e.g. { github: ['arduino/*'] }.
+   * A token is only sent for requests to an allowed repository. Hosts without an entry don't get a token.
+   * Defaults to null which allows all repositories.
+   */
+  constructor(tokens = {}, hostAdapters = new HostAdapterRegistry(), allowedRepositories = null) {
+    this.hostAdapters = hostAdapters;
+    this.allowedRepositories = allowedRepositories;
+    this.tokens = {};
+    for (const adapter of hostAdapters.adapters) {
+      const token = tokens?.[adapter.scheme] || process.env[adapter.tokenEnvironmentVariable];
+      if (token) this.tokens[adapter.scheme] = token;
+    }
+  }
+
+  /**
+   * Retrieves the token of the given host
+   * @param {string} service The scheme of the host e.g. 'github'
+   * @returns {string} The token or null if none is configured
+   */
+  getToken(service) {
+    return this.tokens[service] || null;
+  }
+
+  /**
+   * Determines the host the given URL belongs to
+   * @param {string} url The URL of the request
+   * @returns {string} The scheme of the host e.g. 'github' or null if the URL doesn't belong to a configured host
+   */
+  getService(url) {
+    return this.hostAdapters.getAdapterForRequest(url)?.scheme || null;
+  }
+
+  /**
+   * Determines if the token of a host may be used for the given repository
+   * @param {string} service The scheme of the host e.g. 'github'
+   * @param {string} owner The owner of the repository
+   * @param {string} repo The name of the repository
+   * @returns {boolean} True if no allow-list is configured or the repository is on it
+   */
+  isRepositoryAllowed(service, owner, repo) {
+    if (!this.allowedRepositories) return true;
+    // Owners and repository names are case insensitive on all supported hosts
+    const repository = `${owner}/${repo}`.toLowerCase();
+    return (this.allowedRepositories[service] || []).some(entry => {
+      const allowedEntry = entry.toLowerCase();
+      return allowedEntry === repository || (allowedEntry.endsWith('/*') && allowedEntry.slice(0, -2) === owner.toLowerCase());
+    });
+  }
+
+  /**
+   * Determines if a token is sent along with requests for the given repository
+   * @param {Object} repository The repository as returned by HostAdapterRegistry.parseRepositoryUrl()
+   * @returns {boolean} True if a token is configured for the host and allowed for the repository
+   */
+  isAuthenticated(repository) {
+    return !!this.getToken(repository.host) && this.isRepositoryAllowed(repository.host, repository.owner, repository.repo);
+  }
+
+  /**
+   * Creates the authentication headers for a request to the given URL
+   * @param {string} url The URL of the request
+   * @returns {Object} The headers or an empty object if no token is configured for the host
+   * or the requested repository isn't allowed
+   */
+  getHeaders(url) {
+    const adapter = this.hostAdapters.getAdapterForRequest(url);
+    const token = adapter ? this.getToken(adapter.scheme) : null;
+    if (!token) return {};
+    if (this.allowedRepositories) {
+      const repository = adapter.parseRequestUrl(url);
+      if (!repository || !this.isRepositoryAllowed(adapter.scheme, repository.owner, repository.repo)) return {};
+    }
+    return adapter.getAuthHeaders(token);
+  }
+
+  /**
+   * Removes all tokens and credentials embedded in URLs from the given text
+   * so that it can be logged or returned in an error message.
+   * @param {string} text The text to redact
+   * @returns {string} The redacted text
+   */
+  redact(text) {
+    let redactedText = String(text).replace(/\/\/[^/\s@]+@/g, '//***@');
+    for (const token of Object.values(this.tokens)) {
+      redactedText = redactedText.split(token).join('***');
+    }
+    return redactedText;
+  }
+}
+
+export { AuthTokens };
@@ -1,20 +1,38 @@
 import { extractREPLMessage } from './micropython-extensions.js';
 import MicroPythonBoard from 'micropython.js';
 import { getPromptWithTimeout } from './micropython-extensions.js';
+import { createTransport } from './board-transport.js';
 
 /**
- * Retrieves the architecture of the board (e.g. 'xtensa')
+ * The mpy-cross '-march' names of the native architectures indexed by the
+ * architecture bits of sys.implementation._mpy (bits 10 and up).
+ * Index 0 means that the firmware doesn't support native code.
+ * SEE: https://github.com/micropython/micropython/blob/master/py/persistentcode.h
+ */
+const MPY_ARCHITECTURES = [null, 'x86', 'x64', 'armv6', 'armv6m', 'armv7m', 'armv7em', 'armv7emsp', 'armv7emdp', 'xtensa', 'xtensawin', 'rv32imc', 'rv64imc'];
+
+/**
+ * Retrieves the architecture of the board (e.g. 'xtensawin') as used by the '-march' option of mpy-cross.
+ * The architecture is decoded from sys.implementation._mpy. If the firmware doesn't provide it,
+ * the platform string (e.g. 'MicroPython-1.23.0-xtensa-IDFv5.0.4-with-newlib4.1.0') is used as fallback.
  * @param {MicroPythonBoard} board The MicroPython board from which to retrieve the architecture
- * @returns {Promise<string>} The architecture of the board
+ * @returns {Promise<string>} The architecture of the board or null if it can't be determined
  */
 async function getArchitectureFromBoard(board) {
     await getPromptWithTimeout(board);
     await board.enter_raw_repl();
-    const output = extractREPLMessage(await board.exec_raw("import platform; print(platform.platform())"));
+    const mpyOutput = extractREPLMessage(await board.exec_raw("import sys; print(getattr(sys.implementation, '_mpy', 0) >> 10)"));
+    let architecture = MPY_ARCHITECTURES[parseInt(mpyOutput)] || null;
+
+    if (!architecture) {
+        const platformOutput = extractREPLMessage(await board.exec_raw("try:\n import platform; print(platform.platform())\nexcept ImportError:\n print('')"));
+        const parts = platformOutput.split('-');
+        // Arch is the third part of the string when split by '-' unless the version has a -preview suffix
+        const platformArchitecture = parts[2] === "preview" ? parts[3] : parts[2];
+        // Only accept values that mpy-cross understands
+        architecture = MPY_ARCHITECTURES.includes(platformArchitecture) ? platformArchitecture : null;
+    }
     await board.exit_raw_repl();
-    const parts = output.split('-');
-    // Arch is the third part of the string when split by '-' unless the version has a -preview suffix
-    const architecture = parts[2] === "preview" ? parts[3] : parts[2];
     return architecture;
 }
 
@@ -48,16 +66,17 @@ async function getMicroPythonVersionFromBoard(board) {
 
 /**
  * Gets the MicroPython version running on the board by connecting to the specified port
- * @param {string} port The serial port to connect to
+ * @param {string|BoardTransport} port The serial port to connect to or any other address supported by createTransport()
  * @returns {Promise<string>} The MicroPython version. e.g. "1.21.0"
  * Strips any trailing version tags such as "-preview" or "-dev"
  */
 async function getMicroPythonVersionFromPort(port) {
     const board = new MicroPythonBoard();
-    await board.open(port);
+    const transport = createTransport(port);
+    await transport.open(board);
     const version = await getMicroPythonVersionFromBoard(board);
-    await board.close();
+    await transport.close(board);
     return version;
 }
 
-export { getArchitectureFromBoard, getMPyFileFormatFromBoard, getMicroPythonVersionFromBoard, getMicroPythonVersionFromPort };
\ No newline at end of file
+export { MPY_ARCHITECTURES, getArchitectureFromBoard, getMPyFileFormatFromBoard, getMicroPythonVersionFromBoard, getMicroPythonVersionFromPort };
\ No newline at end of file
@@ -0,0 +1,439 @@
+import net from 'net';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import MicroPythonBoard from 'micropython.js';
+
+/**
+ * The default port of the WebREPL server on the board
+ */
+const WEBREPL_DEFAULT_PORT = 8266;
+
+/**
+ * Base class of all transports. A transport connects a MicroPythonBoard instance to a board.
+ * Once open, board.serial is either a SerialPort or an object that offers the part of its API
+ * that micropython.js and this package use: write(), close(), isOpen and the 'data', 'close' and 'error' events.
+ * This way the whole packaging and installation pipeline runs unchanged over any transport.
+ * Subclasses override open().
+ */
+class BoardTransport {
+
+  /**
+   * Connects the given board
+   * @param {MicroPythonBoard} board The board instance whose 'serial' property is set
+   */
+  async open(board) {
+    throw new Error(`${this.constructor.name} doesn't implement open()`);
+  }
+
+  /**
+   * Disconnects the given board
+   * @param {MicroPythonBoard} board The board instance
+   */
+  async close(board) {
+    await board.close();
+  }
+}
+
+/**
+ * Transport for boards connected through a serial port e.g. over USB
+ */
+class SerialTransport extends BoardTransport {
+
+  /**
+   * Creates a new SerialTransport instance
+   * @param {string} path The path of the serial port e.g. '/dev/cu.usbmodem1234561' or 'COM3'
+   */
+  constructor(path) {
+    super();
+    this.path = path;
+  }
+
+  async open(board) {
+    await board.open(this.path);
+  }
+
+  toString() {
+    return this.path;
+  }
+}
+
+/**
+ * Adapter that makes a network connection look like a SerialPort to micropython.js
+ */
+class StreamConnection extends EventEmitter {
+
+  /**
+   * Creates a new StreamConnection instance
+   * @param {Object} stream The connection. It has to emit 'data', 'close' and 'error' events
+   * and offer write(data, callback) and end().
+   */
+  constructor(stream) {
+    super();
+    this.stream = stream;
+    this.isOpen = true;
+    stream.on('data', (data) => this.emit('data', data));
+    stream.on('error', (error) => {
+      // A connection error is followed by 'close'. Unhandled 'error' events would end the process.
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    stream.on('close', () => {
+      const wasOpen = this.isOpen;
+      this.isOpen = false;
+      // Like a SerialPort, report a close that wasn't requested as a disconnect
+      this.emit('close', wasOpen ? new Error('Connection closed by the board') : null);
+    });
+  }
+
+  /**
+   * Sends data to the board
+   * @param {string|Buffer} data The data
+   * @param {function} callback Called once the data was sent
+   * @returns {boolean} False if the data was buffered
+   */
+  write(data, callback) {
+    return this.stream.write(data, callback);
+  }
+
+  /**
+   * Waits until all written data was sent
+   * @param {function} callback Called once the data was sent
+   */
+  drain(callback) {
+    this.stream.write('', callback);
+  }
+
+  /**
+   * Closes the connection
+   * @param {function} callback Called once the connection was closed
+   * @returns {Promise<void>} Resolves once the connection was closed
+   */
+  close(callback) {
+    const closed = new Promise(resolve => {
+      if (!this.isOpen) return resolve();
+      this.isOpen = false;
+      this.stream.once('close', resolve);
+      this.stream.end();
+      // Don't wait forever for a peer that doesn't close its end
+      setTimeout(() => this.stream.destroy(), 1000).unref();
+    });
+    return closed.then(() => callback?.(null));
+  }
+}
+
+/**
+ * Transport for boards whose REPL is reachable through a plain TCP socket
+ * e.g. a board that attached its REPL to a socket with os.dupterm()
+ * or the MicroPython unix port exposed by test/raw-repl-stand-in.py.
+ */
+class TcpTransport extends BoardTransport {
+
+  /**
+   * Creates a new TcpTransport instance
+   * @param {string} host The host name or IP address of the board
+   * @param {number} port The TCP port of the REPL
+   * @param {Object} options Additional options
+   * @param {number} options.timeout The connection timeout in milliseconds. Defaults to 5000.
+   */
+  constructor(host, port, options = {}) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.timeout = options.timeout ?? 5000;
+  }
+
+  async open(board) {
+    const socket = await connectSocket(this.host, this.port, this.timeout);
+    board.serial = new StreamConnection(socket);
+  }
+
+  toString() {
+    return `tcp://${this.host}:${this.port}`;
+  }
+}
+
+/**
+ * Minimal WebSocket client (RFC 6455) as needed for WebREPL.
+ * Received text and binary frames are emitted as 'data', written data is sent as text frames
+ * which WebREPL passes to the REPL. Binary frames are reserved for its file transfer protocol.
+ */
+class WebSocketStream extends EventEmitter {
+
+  /**
+   * Creates a new WebSocketStream instance on an upgraded socket
+   * @param {net.Socket} socket The socket after a successful handshake
+   * @param {Buffer} initialData Data that was received along with the handshake response
+   */
+  constructor(socket, initialData = Buffer.alloc(0)) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    socket.on('data', (data) => this.receive(data));
+    socket.on('error', (error) => this.emit('error', error));
+    socket.on('close', () => this.emit('close'));
+    if (initialData.length > 0) {
+      // Give the caller the chance to register its listeners first
+      setImmediate(() => this.receive(initialData));
+    }
+  }
+
+  /**
+   * Performs the WebSocket handshake
+   * @param {string} host The host name or IP address
+   * @param {number} port The port of the WebSocket server
+   * @param {number} timeout The timeout in milliseconds
+   * @returns {Promise<WebSocketStream>} The connected stream
+   */
+  static async connect(host, port, timeout) {
+    const socket = await connectSocket(host, port, timeout);
+    const key = crypto.randomBytes(16).toString('base64');
+    const expectedAccept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+
+    socket.write(`GET / HTTP/1.1\r\nHost: ${host}:${port}\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+      `Sec-WebSocket-Key: ${key}\r\nSec-WebSocket-Version: 13\r\n\r\n`);
+
+    return new Promise((resolve, reject) => {
+      let response = Buffer.alloc(0);
+      const timer = setTimeout(() => fail(new Error(`Timeout during the WebSocket handshake with ${host}:${port}`)), timeout);
+      const fail = (error) => {
+        clearTimeout(timer);
+        socket.removeListener('data', onData);
+        socket.removeListener('error', fail);
+        socket.destroy();
+        reject(error);
+      };
+      const onData = (data) => {
+        response = Buffer.concat([response, data]);
+        const headerEnd = response.indexOf('\r\n\r\n');
+        if (headerEnd === -1) return;
+
+        clearTimeout(timer);
+        socket.removeListener('data', onData);
+        socket.removeListener('error', fail);
+        const header = response.subarray(0, headerEnd).toString();
+        if (!/^HTTP\/1\.1 101/.test(header) || !header.includes(expectedAccept)) {
+          return fail(new Error(`WebSocket handshake with ${host}:${port} failed: ${header.split('\r\n')[0]}`));
+        }
+        resolve(new WebSocketStream(socket, response.subarray(headerEnd + 4)));
+      };
+      socket.on('data', onData);
+      socket.once('error', fail);
+    });
+  }
+
+  /**
+   * Parses the received frames
+   * @param {Buffer} data The received data
+   */
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.buffer.length >= 2) {
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const mask = masked ? this.buffer.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      this.buffer = this.buffer.subarray(offset + length);
+      if (mask) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      }
+
+      if (opcode === 0x0 || opcode === 0x1 || opcode === 0x2) {
+        this.emit('data', payload);
+      } else if (opcode === 0x8) {
+        this.socket.end();
+      } else if (opcode === 0x9) {
+        this.sendFrame(0xa, payload);
+      }
+    }
+  }
+
+  /**
+   * Sends a masked frame as required for clients
+   * @param {number} opcode The opcode of the frame
+   * @param {Buffer} payload The payload
+   * @param {function} callback Called once the frame was sent
+   * @returns {boolean} False if the data was buffered
+   */
+  sendFrame(opcode, payload, callback) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 0x80 | 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 0x80 | 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    const mask = crypto.randomBytes(4);
+    const maskedPayload = Buffer.from(payload);
+    for (let i = 0; i < maskedPayload.length; i++) maskedPayload[i] ^= mask[i % 4];
+    return this.socket.write(Buffer.concat([header, mask, maskedPayload]), callback);
+  }
+
+  write(data, callback) {
+    if (data.length === 0) {
+      // Used to wait for pending data to be sent
+      return this.socket.write('', callback);
+    }
+    return this.sendFrame(0x1, Buffer.from(data), callback);
+  }
+
+  end() {
+    if (this.socket.destroyed) return;
+    this.sendFrame(0x8, Buffer.alloc(0));
+    this.socket.end();
+  }
+
+  destroy() {
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Transport for boards with WebREPL enabled e.g. Wi-Fi boards that can't be reached over USB
+ */
+class WebREPLTransport extends BoardTransport {
+
+  /**
+   * Creates a new WebREPLTransport instance
+   * @param {string} host The host name or IP address of the board
+   * @param {string} password The WebREPL password as set with webrepl_setup
+   * @param {Object} options Additional options
+   * @param {number} options.port The port of the WebREPL server. Defaults to 8266.
+   * @param {number} options.timeout The connection timeout in milliseconds. Defaults to 5000.
+   */
+  constructor(host, password, options = {}) {
+    super();
+    this.host = host;
+    this.password = password;
+    this.port = options.port ?? WEBREPL_DEFAULT_PORT;
+    this.timeout = options.timeout ?? 5000;
+  }
+
+  async open(board) {
+    if (!this.password) {
+      throw new Error('A password is required to connect to WebREPL');
+    }
+    const stream = await WebSocketStream.connect(this.host, this.port, this.timeout);
+    try {
+      await this.login(stream);
+    } catch (error) {
+      stream.socket.destroy();
+      throw error;
+    }
+    board.serial = new StreamConnection(stream);
+  }
+
+  /**
+   * Answers the password prompt of WebREPL
+   * @param {WebSocketStream} stream The connected stream
+   */
+  async login(stream) {
+    let output = '';
+    let passwordSent = false;
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => finish(new Error(`Timeout while logging in to WebREPL. Output: ${output}`)), this.timeout);
+      const finish = (error) => {
+        clearTimeout(timer);
+        stream.removeListener('data', onData);
+        error ? reject(error) : resolve();
+      };
+      const onData = (data) => {
+        output += data.toString();
+        if (!passwordSent && output.includes('Password:')) {
+          passwordSent = true;
+          stream.write(`${this.password}\r`);
+        } else if (output.includes('Access denied')) {
+          finish(new Error('WebREPL access denied. Please check the password.'));
+        } else if (output.includes('WebREPL connected')) {
+          finish();
+        }
+      };
+      stream.on('data', onData);
+    });
+  }
+
+  toString() {
+    return `ws://${this.host}:${this.port}`;
+  }
+}
+
+/**
+ * Opens a TCP connection
+ * @param {string} host The host name or IP address
+ * @param {number} port The port
+ * @param {number} timeout The timeout in milliseconds
+ * @returns {Promise<net.Socket>} The connected socket
+ */
+function connectSocket(host, port, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new Error(`Timeout while connecting to ${host}:${port}`));
+    });
+    socket.once('connect', () => {
+      socket.removeListener('error', reject);
+      socket.setTimeout(0);
+      socket.setNoDelay(true);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Creates the transport for the given board address.
+ * @param {string|BoardTransport} address A transport instance which is returned as is, a serial port path,
+ * 'tcp://host:port' for a TCP socket REPL or 'ws://host[:port]' / 'webrepl://host[:port]' for WebREPL.
+ * The WebREPL password can be part of the address e.g. 'ws://:password@192.168.1.42'.
+ * @param {Object} options Additional options
+ * @param {string} options.password The WebREPL password if it's not part of the address.
+ * Defaults to the WEBREPL_PASSWORD environment variable.
+ * @returns {BoardTransport} The transport or null if no address is given
+ * @throws {Error} If the address is invalid
+ */
+function createTransport(address, options = {}) {
+  if (!address || address instanceof BoardTransport) {
+    return address || null;
+  }
+
+  const match = address.match(/^(tcp|ws|webrepl):\/\//);
+  if (!match) {
+    return new SerialTransport(address);
+  }
+
+  const url = new URL(address);
+  const port = url.port ? Number(url.port) : null;
+  if (match[1] === 'tcp') {
+    if (!url.hostname || !port) {
+      throw new Error(`Invalid TCP address '${address}'. Expected tcp://host:port`);
+    }
+    return new TcpTransport(url.hostname, port, options);
+  }
+
+  const password = decodeURIComponent(url.password) || options.password || process.env.WEBREPL_PASSWORD;
+  return new WebREPLTransport(url.hostname, password, { ...options, port: port ?? WEBREPL_DEFAULT_PORT });
+}
+
+export { BoardTransport, SerialTransport, TcpTransport, WebREPLTransport, StreamConnection, createTransport };
@@ -0,0 +1,175 @@
+import { execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * The directory containing the bundled mpy-cross binaries in one subfolder per platform
+ */
+const BUNDLED_COMPILERS_DIRECTORY = path.join(__dirname, '../bin');
+
+/**
+ * The CPU architecture of bundled binaries whose file name doesn't specify one
+ */
+const DEFAULT_BUNDLED_ARCHITECTURES = { darwin: 'arm64', linux: 'x64', win32: 'x64' };
+
+/**
+ * Alternative names of CPU architectures that may appear in file names
+ */
+const ARCHITECTURE_ALIASES = { x86: 'ia32', i386: 'ia32', x86_64: 'x64', amd64: 'x64', aarch64: 'arm64', armv7l: 'arm' };
+
+/**
+ * Architectures that can be executed through emulation keyed by platform and host architecture
+ */
+const EMULATED_ARCHITECTURES = {
+  win32: { x64: ['ia32'], arm64: ['x64', 'ia32'] },
+  darwin: { arm64: ['x64'] }
+};
+
+/**
+ * Class to find a suitable mpy-cross compiler for a given mpy file format.
+ * It knows the bundled binaries in 'bin/<platform>/' as well as user supplied binaries.
+ * Bundled binaries follow the naming scheme 'mpy-cross[-<cpu architecture>][-v<mpy format>][.exe]'
+ * e.g. 'mpy-cross-arm64-v5'. The mpy file format a binary emits is determined by running it.
+ */
+class CompilerRegistry {
+
+  /**
+   * Creates a new CompilerRegistry instance
+   * @param {Array<string>} compilers Paths of additional mpy-cross binaries.
+   * They are preferred over the bundled ones if they support the requested mpy file format.
+   * @param {string} bundledCompilersDirectory The directory containing the bundled binaries in one subfolder per platform
+   */
+  constructor(compilers = [], bundledCompilersDirectory = BUNDLED_COMPILERS_DIRECTORY) {
+    this.compilers = compilers || [];
+    this.bundledCompilersDirectory = bundledCompilersDirectory;
+    // Version strings of the binaries keyed by path. Stores promises so that each binary only runs once.
+    this.versions = new Map();
+  }
+
+  /**
+   * Parses the file name of a bundled binary
+   * @param {string} fileName The file name e.g. 'mpy-cross-arm64-v5'
+   * @returns {Object} An object with the properties 'architecture' and 'mpyFormat' (null if not specified)
+   * or null if the file is not an mpy-cross binary
+   */
+  parseBinaryName(fileName) {
+    const match = fileName.match(/^mpy-cross((?:-[a-z0-9_]+)*)(\.exe)?$/i);
+    if (!match) return null;
+
+    let architecture = null;
+    let mpyFormat = null;
+    for (const token of match[1].split('-').filter(Boolean)) {
+      const formatMatch = token.match(/^v(\d+)$/);
+      if (formatMatch) {
+        mpyFormat = parseInt(formatMatch[1]);
+      } else {
+        architecture = ARCHITECTURE_ALIASES[token] || token;
+      }
+    }
+    return { architecture, mpyFormat };
+  }
+
+  /**
+   * Determines if a binary for the given CPU architecture can run on this host
+   * @param {string} architecture The CPU architecture of the binary as used by Node.js e.g. 'x64'
+   * @returns {boolean} True if the binary can run natively or through emulation
+   */
+  canRunOnHost(architecture) {
+    if (architecture === process.arch) return true;
+    return EMULATED_ARCHITECTURES[process.platform]?.[process.arch]?.includes(architecture) ?? false;
+  }
+
+  /**
+   * Retrieves all compilers that may run on this host in the order of preference:
+   * user supplied binaries, bundled native binaries, bundled binaries that run through emulation.
+   * @returns {Array<Object>} The compilers. Each compiler has the properties 'path', 'source' ('user' or 'bundled'),
+   * 'architecture' and 'mpyFormat' (the format from the file name or null)
+   */
+  getCandidates() {
+    const candidates = this.compilers.map(compilerPath => ({
+      path: path.resolve(compilerPath), source: 'user', architecture: null, mpyFormat: null
+    }));
+
+    const platformDirectory = path.join(this.bundledCompilersDirectory, process.platform);
+    if (!fs.existsSync(platformDirectory)) return candidates;
+
+    const bundledCandidates = [];
+    for (const fileName of fs.readdirSync(platformDirectory).sort()) {
+      const binaryInfo = this.parseBinaryName(fileName);
+      if (!binaryInfo) continue;
+      const architecture = binaryInfo.architecture || DEFAULT_BUNDLED_ARCHITECTURES[process.platform] || process.arch;
+      if (!this.canRunOnHost(architecture)) continue;
+      bundledCandidates.push({ path: path.join(platformDirectory, fileName), source: 'bundled', architecture, mpyFormat: binaryInfo.mpyFormat });
+    }
+    // Prefer native binaries over emulated ones
+    bundledCandidates.sort((a, b) => (b.architecture === process.arch) - (a.architecture === process.arch));
+    return [...candidates, ...bundledCandidates];
+  }
+
+  /**
+   * Retrieves the version string of a binary
+   * e.g. 'MicroPython v1.23.0 on 2024-06-02; mpy-cross emitting mpy v6.3'
+   * @param {string} compilerPath The path of the binary
+   * @returns {Promise<string>} The version string or null if the binary can't be executed
+   */
+  async getVersion(compilerPath) {
+    if (!this.versions.has(compilerPath)) {
+      this.versions.set(compilerPath, new Promise(resolve => {
+        execFile(compilerPath, ['--version'], (error, stdout) => {
+          resolve(error ? null : stdout.trim());
+        });
+      }));
+    }
+    return this.versions.get(compilerPath);
+  }
+
+  /**
+   * Retrieves the major version of the mpy file format a binary emits
+   * @param {string} compilerPath The path of the binary
+   * @returns {Promise<number>} The mpy file format or null if the binary can't be executed
+   */
+  async getMpyFormat(compilerPath) {
+    const version = await this.getVersion(compilerPath);
+    const match = version?.match(/mpy-cross emitting mpy v(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Finds the preferred compiler for the given mpy file format
+   * @param {number} mpyFormat The major version of the mpy file format e.g. 6
+   * @returns {Promise<Object>} An object with the properties 'path', 'source', 'architecture',
+   * 'mpyFormat' and 'version' or null if no compiler supports the format
+   */
+  async findCompiler(mpyFormat) {
+    for (const candidate of this.getCandidates()) {
+      // Skip binaries whose file name indicates a different format without running them
+      if (candidate.mpyFormat !== null && candidate.mpyFormat != mpyFormat) continue;
+      if (await this.getMpyFormat(candidate.path) == mpyFormat) {
+        return { ...candidate, mpyFormat: parseInt(mpyFormat), version: await this.getVersion(candidate.path) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lists all compilers that can be executed on this host
+   * @returns {Promise<Array<Object>>} The compilers with the properties 'path', 'source', 'architecture',
+   * 'mpyFormat' and 'version'
+   */
+  async listCompilers() {
+    const compilers = [];
+    for (const candidate of this.getCandidates()) {
+      const version = await this.getVersion(candidate.path);
+      if (version) {
+        compilers.push({ ...candidate, mpyFormat: await this.getMpyFormat(candidate.path), version });
+      }
+    }
+    return compilers;
+  }
+}
+
+export { CompilerRegistry, BUNDLED_COMPILERS_DIRECTORY };
@@ -0,0 +1,284 @@
+import { normalizePackageUrl } from './url-helpers.js';
+
+/**
+ * Versions that refer to the default branch or the latest release of a package.
+ * They are treated as the same version when comparing dependencies.
+ */
+const DEFAULT_VERSIONS = [null, undefined, '', 'HEAD', 'latest'];
+
+/**
+ * Error thrown when the dependencies of a package cannot be resolved
+ * because of a version conflict or a dependency cycle.
+ */
+class DependencyResolutionError extends Error {
+  /**
+   * Creates a new DependencyResolutionError
+   * @param {string} message The error message
+   * @param {Array<Object>} conflicts The version conflicts. Each conflict has the properties
+   * 'package' (the normalized package URL) and 'versions', a list of objects containing
+   * the requested 'version' and the 'chains' of packages that requested it.
+   * @param {Array<string>} cycle The packages forming a dependency cycle or null if there is no cycle.
+   */
+  constructor(message, conflicts = [], cycle = null) {
+    super(message);
+    this.name = 'DependencyResolutionError';
+    this.conflicts = conflicts;
+    this.cycle = cycle;
+  }
+}
+
+/**
+ * Data class to store a package of the dependency graph
+ */
+class ResolvedPackage {
+  /**
+   * Creates a new ResolvedPackage object
+   * @param {string} key The normalized URL of the package that identifies it in the graph
+   * @param {string} url The URL or name of the package as it was first requested
+   * @param {string} version The requested version
+   * @param {Object} packageJson The package.json object of the package
+   */
+  constructor(key, url, version, packageJson) {
+    this.key = key;
+    this.url = url;
+    this.version = version ?? null;
+    this.packageJson = packageJson;
+
+    /**
+     * The exact version the requested version was resolved to, e.g. a commit SHA
+     * or the version of a micropython-lib package. Null if it wasn't resolved.
+     * @type {string}
+     */
+    this.resolvedVersion = null;
+
+    /**
+     * The keys of the direct dependencies of this package
+     * @type {Array<string>}
+     */
+    this.dependencies = [];
+
+    /**
+     * The chains of packages that requested this package.
+     * Each chain starts with the root package, e.g. ['my-app@HEAD', 'my-driver@1.0']
+     * @type {Array<Array<string>>}
+     */
+    this.requestedBy = [];
+  }
+
+  /**
+   * Gets a human readable label of the package e.g. 'github:arduino/modulino-mpy@1.0'
+   * @returns {string} The label
+   */
+  get label() {
+    return `${this.key}@${this.version || 'latest'}`;
+  }
+
+  toJSON() {
+    return {
+      url: this.url,
+      version: this.version,
+      resolvedVersion: this.resolvedVersion,
+      name: this.packageJson?.name || null,
+      dependencies: this.dependencies,
+      requestedBy: this.requestedBy
+    };
+  }
+}
+
+/**
+ * Class representing the de-duplicated dependency graph of a package
+ */
+class DependencyGraph {
+  /**
+   * Creates a new DependencyGraph object
+   * @param {string} rootKey The key of the package the graph was resolved for
+   */
+  constructor(rootKey) {
+    this.rootKey = rootKey;
+
+    /**
+     * The packages in the graph keyed by their normalized URL
+     * @type {Map<string, ResolvedPackage>}
+     */
+    this.packages = new Map();
+  }
+
+  /**
+   * Gets the package the graph was resolved for
+   * @returns {ResolvedPackage} The root package
+   */
+  get root() {
+    return this.packages.get(this.rootKey);
+  }
+
+  /**
+   * Gets a package of the graph
+   * @param {string} key The normalized URL of the package
+   * @returns {ResolvedPackage} The package or undefined if it's not part of the graph
+   */
+  getPackage(key) {
+    return this.packages.get(key);
+  }
+
+  /**
+   * Gets all packages of the graph. The root package comes first,
+   * followed by the dependencies in the order they were discovered.
+   * @returns {Array<ResolvedPackage>} The packages
+   */
+  getPackages() {
+    return [...this.packages.values()];
+  }
+
+  /**
+   * Creates a dependency graph from serialized data e.g. when restoring it from the cache.
+   * The package.json objects of the packages are not part of the serialized data.
+   * @param {Object} data The serialized graph as created by toJSON()
+   * @returns {DependencyGraph} The dependency graph
+   */
+  static fromJSON(data) {
+    const graph = new DependencyGraph(data.root);
+    for (const [key, packageData] of Object.entries(data.packages)) {
+      const resolvedPackage = new ResolvedPackage(key, packageData.url, packageData.version, { name: packageData.name || undefined });
+      resolvedPackage.resolvedVersion = packageData.resolvedVersion ?? null;
+      resolvedPackage.dependencies = packageData.dependencies;
+      resolvedPackage.requestedBy = packageData.requestedBy;
+      graph.packages.set(key, resolvedPackage);
+    }
+    return graph;
+  }
+
+  toJSON() {
+    return {
+      root: this.rootKey,
+      packages: Object.fromEntries(this.packages)
+    };
+  }
+}
+
+/**
+ * Class to resolve the full dependency graph of a package before any file is downloaded.
+ * Dependencies that are requested by several packages are only resolved once.
+ * Different versions of the same dependency are reported as conflicts
+ * and dependency cycles are detected.
+ */
+class DependencyResolver {
+  /**
+   * Creates a new DependencyResolver
+   * @param {async function} fetchPackageJson An async function that takes a package URL and a version
+   * and returns the package.json object of that package.
+   * @param {function} normalizeUrl A function that normalizes a package URL so that different notations
+   * of the same package are identified. Defaults to normalizePackageUrl().
+   */
+  constructor(fetchPackageJson, normalizeUrl = normalizePackageUrl) {
+    this.fetchPackageJson = fetchPackageJson;
+    this.normalizeUrl = normalizeUrl;
+  }
+
+  /**
+   * Determines if two requested versions refer to the same version
+   * @param {string} versionA The first version
+   * @param {string} versionB The second version
+   * @returns {boolean} True if both versions are the same
+   */
+  isSameVersion(versionA, versionB) {
+    if (DEFAULT_VERSIONS.includes(versionA) && DEFAULT_VERSIONS.includes(versionB)) {
+      return true;
+    }
+    return versionA === versionB;
+  }
+
+  /**
+   * Resolves the dependency graph of the given package
+   * @param {string} url The URL of the repository or the name of an official package
+   * @param {string} version The version of the package
+   * @param {Object} customPackageJson A custom package.json object to use for the root package
+   * instead of fetching it.
+   * @returns {Promise<DependencyGraph>} The resolved dependency graph
+   * @throws {DependencyResolutionError} If there are version conflicts or dependency cycles
+   */
+  async resolve(url, version = null, customPackageJson = null) {
+    const rootKey = this.normalizeUrl(url);
+    const graph = new DependencyGraph(rootKey);
+    // Requested versions of packages that conflict with the resolved version keyed by package key
+    const conflictingRequests = new Map();
+
+    const visit = async (packageUrl, packageVersion, packageJson, chain, stack) => {
+      const key = this.normalizeUrl(packageUrl);
+      const label = `${key}@${packageVersion || 'latest'}`;
+
+      if (stack.includes(key)) {
+        const cycleStart = stack.indexOf(key);
+        const cycle = [...chain.slice(cycleStart), label];
+        throw new DependencyResolutionError(`Dependency cycle detected: ${cycle.join(' -> ')}`, [], cycle);
+      }
+
+      const existingPackage = graph.getPackage(key);
+      if (existingPackage) {
+        if (this.isSameVersion(existingPackage.version, packageVersion)) {
+          existingPackage.requestedBy.push(chain);
+        } else {
+          if (!conflictingRequests.has(key)) conflictingRequests.set(key, []);
+          conflictingRequests.get(key).push({ version: packageVersion ?? null, chain });
+        }
+        return key;
+      }
+
+      const resolvedPackageJson = packageJson || await this.fetchPackageJson(packageUrl, packageVersion);
+      const resolvedPackage = new ResolvedPackage(key, packageUrl, packageVersion, resolvedPackageJson);
+      resolvedPackage.requestedBy.push(chain);
+      graph.packages.set(key, resolvedPackage);
+
+      for (const [depUrl, depVersion] of resolvedPackageJson.deps || []) {
+        const depKey = await visit(depUrl, depVersion, null, [...chain, label], [...stack, key]);
+        if (!resolvedPackage.dependencies.includes(depKey)) {
+          resolvedPackage.dependencies.push(depKey);
+        }
+      }
+      return key;
+    };
+
+    await visit(url, version, customPackageJson, [], []);
+
+    if (conflictingRequests.size > 0) {
+      throw this.createConflictError(graph, conflictingRequests);
+    }
+    return graph;
+  }
+
+  /**
+   * Creates an error describing all version conflicts including the chain of packages
+   * that requested each version.
+   * @param {DependencyGraph} graph The dependency graph
+   * @param {Map<string, Array<Object>>} conflictingRequests The conflicting requests keyed by package key
+   * @returns {DependencyResolutionError} The error
+   */
+  createConflictError(graph, conflictingRequests) {
+    const conflicts = [];
+    const lines = [];
+
+    for (const [key, requests] of conflictingRequests) {
+      const resolvedPackage = graph.getPackage(key);
+      const versions = [{ version: resolvedPackage.version, chains: resolvedPackage.requestedBy }];
+
+      for (const request of requests) {
+        let entry = versions.find(entry => this.isSameVersion(entry.version, request.version));
+        if (!entry) {
+          entry = { version: request.version, chains: [] };
+          versions.push(entry);
+        }
+        entry.chains.push(request.chain);
+      }
+
+      conflicts.push({ package: key, versions });
+      lines.push(`Version conflict for '${key}':`);
+      for (const { version, chains } of versions) {
+        for (const chain of chains) {
+          lines.push(`  ${version || 'latest'} requested by ${chain.join(' -> ')}`);
+        }
+      }
+    }
+    return new DependencyResolutionError(lines.join('\n'), conflicts);
+  }
+}
+
+export { DependencyResolver, DependencyGraph, ResolvedPackage, DependencyResolutionError, DEFAULT_VERSIONS };
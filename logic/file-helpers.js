@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import * as tar from 'tar';
+
+/**
+ * Calculates the sha256 hash of the given local file
+ * @param {string} filePath The path of the local file
+ * @returns {Promise<string>} The hex encoded sha256 hash of the file
+ */
+async function calculateFileHash(filePath) {
+  const hash = crypto.createHash('sha256');
+  const input = fs.createReadStream(filePath);
+  return new Promise((resolve, reject) => {
+    input.on('data', chunk => hash.update(chunk));
+    input.on('end', () => resolve(hash.digest('hex')));
+    input.on('error', reject);
+  });
+}
+
+/**
+ * Lists all files in the given directory and its subdirectories
+ * @param {string} directory The local directory to list the files of
+ * @returns {Promise<Array<string>>} The file paths relative to the given directory
+ * using forward slashes as separator e.g. ['modulino/__init__.mpy', 'modulino/buttons.mpy']
+ */
+async function listFilesRecursive(directory) {
+  const files = [];
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      const subdirectoryFiles = await listFilesRecursive(path.join(directory, entry.name));
+      files.push(...subdirectoryFiles.map(file => `${entry.name}/${file}`));
+    } else {
+      files.push(entry.name);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Calculates the sha256 hashes of all files in the given directory and its subdirectories
+ * @param {string} directory The local directory containing the files
+ * @returns {Promise<Object<string, string>>} The hashes keyed by the relative file path
+ * e.g. { 'modulino/__init__.mpy': 'ab12...' }
+ */
+async function calculateDirectoryHashes(directory) {
+  const hashes = {};
+  for (const file of await listFilesRecursive(directory)) {
+    hashes[file] = await calculateFileHash(path.join(directory, file));
+  }
+  return hashes;
+}
+
+/**
+ * Determines the sizes of a tar.gz archive and its content
+ * @param {string} archivePath The path of the local tar.gz archive
+ * @returns {Promise<Object>} An object with the properties 'compressedSize' (the size of the archive),
+ * 'uncompressedSize' (the size of the tar file), 'fileSizes' (the sizes of the contained files),
+ * 'files' (the same sizes keyed by the file paths relative to the root of the archive)
+ * and 'directoryCount' (the number of contained directories)
+ */
+async function getArchiveSizes(archivePath) {
+  const compressedSize = (await fs.stat(archivePath)).size;
+
+  let uncompressedSize = 0;
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(archivePath)
+      .on('error', reject)
+      .pipe(zlib.createGunzip())
+      .on('data', chunk => uncompressedSize += chunk.length)
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  const fileSizes = [];
+  const files = {};
+  let directoryCount = 0;
+  await tar.t({
+    file: archivePath,
+    onentry: entry => {
+      if (entry.type === 'Directory') {
+        // The root entry of the archive isn't created on the board
+        if (entry.path !== './' && entry.path !== '.') directoryCount++;
+      } else {
+        fileSizes.push(entry.size);
+        files[entry.path.replace(/^\.\//, '')] = entry.size;
+      }
+    }
+  });
+  return { compressedSize, uncompressedSize, fileSizes, files, directoryCount };
+}
+
+export { calculateFileHash, listFilesRecursive, calculateDirectoryHashes, getArchiveSizes };
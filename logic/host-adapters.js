@@ -0,0 +1,421 @@
+import { normalizePackageUrl } from './url-helpers.js';
+
+/**
+ * Extracts the owner and the repository name from the path of a request URL
+ * @param {string} url The URL of the request
+ * @param {string} prefix The part of the URL that precedes the owner e.g. 'https://api.github.com/repos/'
+ * @returns {Object} An object with the properties 'owner' and 'repo' or null if the URL doesn't start with the prefix
+ */
+function parseRepositoryPath(url, prefix) {
+  if (!url.startsWith(prefix)) return null;
+  const [owner, repo] = url.slice(prefix.length).split(/[/?#]/);
+  return owner && repo ? { owner: decodeURIComponent(owner), repo: decodeURIComponent(repo).replace(/\.git$/, '') } : null;
+}
+
+/**
+ * Base class for adapters that translate repository URLs of a code hosting service
+ * into raw file URLs and API requests.
+ * Repositories can be referenced in the short form 'scheme:owner/repo/path/file.ext'
+ * or with the web URL of the host e.g. 'https://gitlab.example.com/owner/repo/path/file.ext'.
+ */
+class HostAdapter {
+
+  /**
+   * Creates a new HostAdapter instance
+   * @param {string} scheme The short scheme that refers to this host e.g. 'github'
+   * @param {string} baseUrl The web URL of the host e.g. 'https://github.com'
+   * @param {Object} options Additional options.
+   * @param {string} options.tokenEnvironmentVariable The environment variable the access token is read from.
+   * Defaults to the upper case scheme followed by '_TOKEN' e.g. 'GITLAB_TOKEN'.
+   */
+  constructor(scheme, baseUrl, options = {}) {
+    this.scheme = scheme;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.tokenEnvironmentVariable = options.tokenEnvironmentVariable || `${scheme.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_TOKEN`;
+  }
+
+  /**
+   * The host names requests to this service are sent to.
+   * Access tokens are only sent to these hosts.
+   * @returns {Array<string>} The host names
+   */
+  get hostnames() {
+    return [new URL(this.baseUrl).hostname];
+  }
+
+  /**
+   * Determines if the given URL refers to a repository of this host
+   * @param {string} url The URL to check
+   * @returns {boolean} True if the URL uses the short scheme or the web URL of this host.
+   * False for raw file and API URLs of this host as they are used as they are.
+   */
+  matches(url) {
+    if (url.startsWith(`${this.scheme}:`)) return true;
+    return url.startsWith(`${this.baseUrl}/`) && !this.isRequestUrl(url);
+  }
+
+  /**
+   * Determines if the given URL is a raw file or API URL of this host
+   * e.g. as returned by getRawFileUrl() or getCommitRequest()
+   * @param {string} url A URL that starts with the web URL of this host
+   * @returns {boolean} True if the URL is a raw file or API URL
+   */
+  isRequestUrl(url) {
+    return false;
+  }
+
+  /**
+   * Converts a URL of this host to the short form 'scheme:owner/repo/path'
+   * @param {string} url A URL that matches this host
+   * @returns {string} The short URL
+   */
+  toShortUrl(url) {
+    if (url.startsWith(`${this.scheme}:`)) return url;
+    return `${this.scheme}:${url.slice(this.baseUrl.length + 1)}`;
+  }
+
+  /**
+   * Parses a URL of this host
+   * @param {string} url A URL that matches this host
+   * @returns {Object} An object with the properties 'host' (the scheme), 'owner', 'repo', 'path'
+   * and 'adapter' (this adapter)
+   */
+  parseUrl(url) {
+    const urlParts = this.toShortUrl(url).slice(this.scheme.length + 1).split('/');
+    return {
+      host: this.scheme,
+      owner: urlParts[0],
+      repo: urlParts[1]?.replace(/\.git$/, ''),
+      path: urlParts.slice(2).join('/'),
+      adapter: this
+    };
+  }
+
+  /**
+   * Determines the repository a request to this host is sent for
+   * @param {string} url The URL of the request e.g. as returned by getRawFileUrl() or getCommitRequest()
+   * @returns {Object} An object with the properties 'owner' and 'repo' or null if the URL doesn't refer to a repository
+   */
+  parseRequestUrl(url) {
+    return parseRepositoryPath(url, `${this.baseUrl}/`);
+  }
+
+  /**
+   * Creates the URL providing the raw content of a file
+   * @param {Object} repository The repository as returned by parseUrl()
+   * @param {string} ref The branch name, tag, commit SHA or 'HEAD'
+   * @param {boolean} authenticated Whether an access token is sent along with the request
+   * @returns {string} The raw file URL
+   */
+  getRawFileUrl(repository, ref, authenticated = false) {
+    throw new Error(`getRawFileUrl() is not implemented for ${this.scheme}`);
+  }
+
+  /**
+   * Creates the request that resolves a reference to a commit SHA
+   * @param {Object} repository The repository as returned by parseUrl()
+   * @param {string} ref The branch name, tag or 'HEAD'
+   * @returns {Object} An object with the properties 'url' and 'headers'
+   */
+  getCommitRequest(repository, ref) {
+    throw new Error(`getCommitRequest() is not implemented for ${this.scheme}`);
+  }
+
+  /**
+   * Extracts the commit SHA from the response of the commit request
+   * @param {Buffer} content The response content
+   * @returns {string} The commit SHA
+   */
+  parseCommit(content) {
+    throw new Error(`parseCommit() is not implemented for ${this.scheme}`);
+  }
+
+  /**
+   * Creates the headers that authenticate a request with the given token
+   * @param {string} token The access token
+   * @returns {Object} The headers
+   */
+  getAuthHeaders(token) {
+    return { 'Authorization': `Bearer ${token}` };
+  }
+}
+
+/**
+ * Adapter for repositories hosted on github.com
+ */
+class GitHubAdapter extends HostAdapter {
+  constructor(scheme = 'github', options = {}) {
+    super(scheme, 'https://github.com', options);
+  }
+
+  get hostnames() {
+    return ['github.com', 'api.github.com', 'raw.githubusercontent.com'];
+  }
+
+  parseRequestUrl(url) {
+    return parseRepositoryPath(url, 'https://raw.githubusercontent.com/')
+      || parseRepositoryPath(url, 'https://api.github.com/repos/')
+      || super.parseRequestUrl(url);
+  }
+
+  getRawFileUrl({ owner, repo, path }, ref) {
+    return `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${path}`;
+  }
+
+  getCommitRequest({ owner, repo }, ref) {
+    return {
+      url: `https://api.github.com/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`,
+      headers: { 'Accept': 'application/vnd.github.sha' }
+    };
+  }
+
+  parseCommit(content) {
+    return content.toString().trim();
+  }
+}
+
+/**
+ * Adapter for repositories hosted on gitlab.com or a self-hosted GitLab instance
+ */
+class GitLabAdapter extends HostAdapter {
+  constructor(scheme = 'gitlab', baseUrl = 'https://gitlab.com', options = {}) {
+    super(scheme, baseUrl, options);
+  }
+
+  isRequestUrl(url) {
+    const relativeUrl = url.slice(this.baseUrl.length + 1);
+    return relativeUrl.startsWith('api/') || /^[^/]+\/[^/]+\/-\/raw\//.test(relativeUrl);
+  }
+
+  parseRequestUrl(url) {
+    const apiPrefix = `${this.baseUrl}/api/v4/projects/`;
+    if (url.startsWith(apiPrefix)) {
+      // The project ID is the URL encoded 'owner/repo'
+      const [owner, repo] = decodeURIComponent(url.slice(apiPrefix.length).split(/[/?#]/)[0]).split('/');
+      return owner && repo ? { owner, repo } : null;
+    }
+    return super.parseRequestUrl(url);
+  }
+
+  getRawFileUrl({ owner, repo, path }, ref, authenticated = false) {
+    if (authenticated) {
+      // Raw files of private repositories are only accessible with a token through the API
+      const projectId = encodeURIComponent(`${owner}/${repo}`);
+      return `${this.baseUrl}/api/v4/projects/${projectId}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`;
+    }
+    return `${this.baseUrl}/${owner}/${repo}/-/raw/${ref}/${path}`;
+  }
+
+  getCommitRequest({ owner, repo }, ref) {
+    const projectId = encodeURIComponent(`${owner}/${repo}`);
+    return {
+      url: `${this.baseUrl}/api/v4/projects/${projectId}/repository/commits/${encodeURIComponent(ref)}`,
+      headers: {}
+    };
+  }
+
+  parseCommit(content) {
+    return JSON.parse(content.toString()).id;
+  }
+
+  getAuthHeaders(token) {
+    return { 'PRIVATE-TOKEN': token };
+  }
+}
+
+/**
+ * Adapter for repositories hosted on a Gitea or Forgejo instance e.g. codeberg.org
+ */
+class GiteaAdapter extends HostAdapter {
+  isRequestUrl(url) {
+    const relativeUrl = url.slice(this.baseUrl.length + 1);
+    return relativeUrl.startsWith('api/') || /^[^/]+\/[^/]+\/raw\//.test(relativeUrl);
+  }
+
+  parseRequestUrl(url) {
+    return parseRepositoryPath(url, `${this.baseUrl}/api/v1/repos/`) || super.parseRequestUrl(url);
+  }
+
+  getRawFileUrl({ owner, repo, path }, ref) {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    // Without a ref the default branch is used
+    const query = ref && ref !== 'HEAD' ? `?ref=${encodeURIComponent(ref)}` : '';
+    return `${this.baseUrl}/api/v1/repos/${owner}/${repo}/raw/${encodedPath}${query}`;
+  }
+
+  getCommitRequest({ owner, repo }, ref) {
+    const query = ref && ref !== 'HEAD' ? `&sha=${encodeURIComponent(ref)}` : '';
+    return {
+      url: `${this.baseUrl}/api/v1/repos/${owner}/${repo}/commits?limit=1${query}`,
+      headers: {}
+    };
+  }
+
+  parseCommit(content) {
+    return JSON.parse(content.toString())[0].sha;
+  }
+
+  getAuthHeaders(token) {
+    return { 'Authorization': `token ${token}` };
+  }
+}
+
+/**
+ * Adapter for repositories hosted on bitbucket.org
+ */
+class BitbucketAdapter extends HostAdapter {
+  constructor(scheme = 'bitbucket', options = {}) {
+    super(scheme, 'https://bitbucket.org', options);
+  }
+
+  get hostnames() {
+    return ['bitbucket.org', 'api.bitbucket.org'];
+  }
+
+  isRequestUrl(url) {
+    return /^[^/]+\/[^/]+\/raw\//.test(url.slice(this.baseUrl.length + 1));
+  }
+
+  parseRequestUrl(url) {
+    return parseRepositoryPath(url, 'https://api.bitbucket.org/2.0/repositories/') || super.parseRequestUrl(url);
+  }
+
+  getRawFileUrl({ owner, repo, path }, ref, authenticated = false) {
+    if (authenticated) {
+      // Access tokens are only accepted by the API
+      return `https://api.bitbucket.org/2.0/repositories/${owner}/${repo}/src/${ref}/${path}`;
+    }
+    return `https://bitbucket.org/${owner}/${repo}/raw/${ref}/${path}`;
+  }
+
+  getCommitRequest({ owner, repo }, ref) {
+    return {
+      url: `https://api.bitbucket.org/2.0/repositories/${owner}/${repo}/commit/${encodeURIComponent(ref)}`,
+      headers: {}
+    };
+  }
+
+  parseCommit(content) {
+    return JSON.parse(content.toString()).hash;
+  }
+
+  getAuthHeaders(token) {
+    // App passwords are provided as 'username:password' and require basic authentication
+    if (token.includes(':')) {
+      return { 'Authorization': `Basic ${Buffer.from(token).toString('base64')}` };
+    }
+    return super.getAuthHeaders(token);
+  }
+}
+
+/**
+ * Creates a host adapter from a configuration object
+ * @param {Object} config The host configuration
+ * @param {string} config.type The type of the host: 'github', 'gitlab', 'gitea', 'forgejo' or 'bitbucket'
+ * @param {string} config.scheme The short scheme that refers to the host e.g. 'corp' for 'corp:owner/repo'
+ * @param {string} config.baseUrl The web URL of the host e.g. 'https://gitlab.example.com'.
+ * Required for GitLab instances other than gitlab.com and for Gitea / Forgejo.
+ * @param {string} config.tokenEnvironmentVariable The environment variable the access token is read from
+ * @returns {HostAdapter} The host adapter
+ * @throws {Error} If the configuration is invalid
+ */
+function createHostAdapter(config) {
+  const { type, scheme = type, baseUrl, tokenEnvironmentVariable } = config;
+  const options = { tokenEnvironmentVariable };
+
+  switch (type) {
+    case 'github':
+      return new GitHubAdapter(scheme, options);
+    case 'gitlab':
+      return new GitLabAdapter(scheme, baseUrl || 'https://gitlab.com', options);
+    case 'gitea':
+    case 'forgejo':
+      if (!baseUrl) throw new Error(`Host '${scheme}' of type ${type} requires a baseUrl`);
+      return new GiteaAdapter(scheme, baseUrl, options);
+    case 'bitbucket':
+      return new BitbucketAdapter(scheme, options);
+    default:
+      throw new Error(`Unsupported host type: ${type}`);
+  }
+}
+
+/**
+ * Class to keep track of the configured host adapters.
+ * GitHub, GitLab (gitlab.com) and Bitbucket are always available under the schemes
+ * 'github', 'gitlab' and 'bitbucket'. Configured hosts with the same scheme replace them.
+ */
+class HostAdapterRegistry {
+
+  /**
+   * Creates a new HostAdapterRegistry instance
+   * @param {Array<Object|HostAdapter>} hosts Additional hosts. Either HostAdapter instances or
+   * configuration objects as accepted by createHostAdapter()
+   */
+  constructor(hosts = []) {
+    this.adapters = [new GitHubAdapter(), new GitLabAdapter(), new BitbucketAdapter()];
+    for (const host of hosts || []) {
+      this.addAdapter(host instanceof HostAdapter ? host : createHostAdapter(host));
+    }
+  }
+
+  /**
+   * Adds a host adapter. An existing adapter with the same scheme is replaced.
+   * @param {HostAdapter} adapter The adapter to add
+   */
+  addAdapter(adapter) {
+    this.adapters = this.adapters.filter(existingAdapter => existingAdapter.scheme !== adapter.scheme);
+    this.adapters.push(adapter);
+  }
+
+  /**
+   * Retrieves the adapter of the host the given repository URL refers to
+   * @param {string} url A repository URL in the short form or the web URL of a host
+   * @returns {HostAdapter} The adapter or null if no configured host matches
+   */
+  getAdapter(url) {
+    return this.adapters.find(adapter => adapter.matches(url)) || null;
+  }
+
+  /**
+   * Retrieves the adapter of the host a request is sent to
+   * @param {string} url The URL of the request e.g. a raw file URL
+   * @returns {HostAdapter} The adapter or null if the URL doesn't belong to a configured host
+   */
+  getAdapterForRequest(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+    return this.adapters.find(adapter => adapter.hostnames.includes(hostname)) || null;
+  }
+
+  /**
+   * Parses a repository URL
+   * @param {string} url A repository URL in the short form or the web URL of a host
+   * @returns {Object} An object with the properties 'host', 'owner', 'repo', 'path' and 'adapter'
+   * or null if the URL doesn't refer to a configured host.
+   */
+  parseRepositoryUrl(url) {
+    return this.getAdapter(url)?.parseUrl(url) || null;
+  }
+
+  /**
+   * Normalizes a package URL so that different notations of the same package can be identified.
+   * Web URLs of configured hosts are converted to their short form.
+   * Raw file and API URLs of configured hosts are returned unchanged.
+   * @param {string} url A repository URL or the name of an official package
+   * @returns {string} The normalized URL
+   */
+  normalizeUrl(url) {
+    // Raw file and API URLs are used as they are
+    if (this.adapters.some(adapter => url.startsWith(`${adapter.baseUrl}/`) && adapter.isRequestUrl(url))) {
+      return url;
+    }
+    const adapter = this.getAdapter(url);
+    return normalizePackageUrl(adapter ? adapter.toShortUrl(url) : url);
+  }
+}
+
+export { HostAdapter, GitHubAdapter, GitLabAdapter, GiteaAdapter, BitbucketAdapter, HostAdapterRegistry, createHostAdapter };
@@ -0,0 +1,174 @@
+import fs from 'fs-extra';
+import { DependencyGraph, ResolvedPackage, DEFAULT_VERSIONS } from './dependency-resolver.js';
+
+/**
+ * The version of the lockfile format
+ */
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Class representing a lockfile which pins every package and dependency to an exact
+ * commit SHA or micropython-lib version and records the source URL and sha256 hash of every file.
+ * Packaging with a lockfile reproduces the same archive and fails on any hash mismatch.
+ */
+class Lockfile {
+
+  /**
+   * Creates a new Lockfile object
+   * @param {Object} data The parsed content of an existing lockfile.
+   * If omitted, an empty lockfile is created.
+   */
+  constructor(data = null) {
+    if (data && data.lockfileVersion !== LOCKFILE_VERSION) {
+      throw new Error(`Unsupported lockfile version: ${data.lockfileVersion}`);
+    }
+    this.root = data?.root || null;
+    this.packages = data?.packages || {};
+    this.archive = data?.archive || null;
+  }
+
+  /**
+   * Loads a lockfile from the local file system
+   * @param {string} filePath The path of the lockfile
+   * @returns {Promise<Lockfile>} The lockfile
+   * @throws {Error} If the file cannot be read or is not a valid lockfile
+   */
+  static async load(filePath) {
+    try {
+      return new Lockfile(await fs.readJson(filePath));
+    } catch (error) {
+      throw new Error(`Failed to load lockfile ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Saves the lockfile to the local file system
+   * @param {string} filePath The path of the lockfile
+   */
+  async save(filePath) {
+    await fs.writeJson(filePath, this, { spaces: 2 });
+  }
+
+  /**
+   * Adds a resolved package to the lockfile
+   * @param {ResolvedPackage} resolvedPackage The resolved package
+   * @param {Array<Object>} files The files of the package. Each file is described by an object
+   * with the properties 'path' (the target path), 'url' (the pinned source URL) and 'sha256'
+   * (the hash of the downloaded file before it was processed).
+   */
+  addPackage(resolvedPackage, files) {
+    this.packages[resolvedPackage.key] = {
+      url: resolvedPackage.url,
+      version: resolvedPackage.version,
+      resolved: resolvedPackage.resolvedVersion ?? null,
+      name: resolvedPackage.packageJson?.name || null,
+      packageVersion: resolvedPackage.packageJson?.version || null,
+      compileOptions: resolvedPackage.packageJson?.compileOptions || null,
+      dependencies: resolvedPackage.dependencies,
+      files
+    };
+  }
+
+  /**
+   * Retrieves the expected hash of the file with the given target path
+   * @param {string} targetPath The target path of the file e.g. 'modulino/__init__.py'
+   * @returns {string} The sha256 hash or null if the file is not part of the lockfile
+   */
+  getFileHash(targetPath) {
+    for (const lockedPackage of Object.values(this.packages)) {
+      const file = lockedPackage.files.find(file => file.path === targetPath);
+      if (file) return file.sha256;
+    }
+    return null;
+  }
+
+  /**
+   * Records the archive that was created from the locked packages
+   * @param {string} sha256 The sha256 hash of the archive
+   * @param {number} mpyFormat The mpy file format the files were compiled for or null
+   * @param {string} architecture The architecture the files were compiled for or null
+   * @param {Object<string, Object>} compileOptions The compile options of the compiled files keyed by their target path
+   */
+  setArchive(sha256, mpyFormat = null, architecture = null, compileOptions = {}) {
+    this.archive = { sha256, mpyFormat, architecture, compileOptions };
+  }
+
+  /**
+   * Verifies that an archive matches the one recorded in the lockfile.
+   * The check is only performed if the archive was built for the same target.
+   * @param {string} sha256 The sha256 hash of the archive
+   * @param {number} mpyFormat The mpy file format the files were compiled for or null
+   * @param {string} architecture The architecture the files were compiled for or null
+   * @param {Object<string, Object>} compileOptions The compile options of the compiled files keyed by their target path
+   * @returns {boolean} True if the archive was checked, false if the lockfile recorded a different target
+   * or different compile options
+   * @throws {Error} If the archive doesn't match
+   */
+  verifyArchive(sha256, mpyFormat = null, architecture = null, compileOptions = {}) {
+    if (!this.archive) return false;
+    if (this.archive.mpyFormat !== (mpyFormat ?? null) || this.archive.architecture !== (architecture ?? null)) {
+      return false;
+    }
+    if (JSON.stringify(this.archive.compileOptions ?? {}) !== JSON.stringify(compileOptions ?? {})) {
+      return false;
+    }
+    if (this.archive.sha256 !== sha256) {
+      throw new Error(`Archive hash mismatch: expected ${this.archive.sha256}, got ${sha256}`);
+    }
+    return true;
+  }
+
+  /**
+   * Verifies that the lockfile was created for the requested package and version.
+   * The version matches if it's the requested version recorded in the lockfile or the exact version it was resolved to.
+   * @param {string} rootKey The normalized URL of the requested package
+   * @param {string} version The requested version
+   * @throws {Error} If the lockfile belongs to a different package or version
+   */
+  assertRoot(rootKey, version = null) {
+    if (this.root !== rootKey) {
+      throw new Error(`Lockfile doesn't match the requested package: it was created for ${this.root}, not for ${rootKey}`);
+    }
+    const lockedPackage = this.packages[this.root];
+    if (!lockedPackage) {
+      throw new Error(`Lockfile doesn't contain its root package ${this.root}`);
+    }
+    const isDefaultVersion = DEFAULT_VERSIONS.includes(version) && DEFAULT_VERSIONS.includes(lockedPackage.version);
+    if (!isDefaultVersion && version !== lockedPackage.version && version !== lockedPackage.resolved) {
+      throw new Error(`Lockfile doesn't match the requested version of ${rootKey}: it was created for ${lockedPackage.version || 'latest'}, not for ${version || 'latest'}`);
+    }
+  }
+
+  /**
+   * Creates the dependency graph of the locked packages.
+   * The package.json objects of the packages list the pinned file URLs.
+   * @returns {DependencyGraph} The dependency graph
+   */
+  toDependencyGraph() {
+    const graph = new DependencyGraph(this.root);
+    for (const [key, lockedPackage] of Object.entries(this.packages)) {
+      const packageJson = {
+        name: lockedPackage.name || undefined,
+        version: lockedPackage.packageVersion || undefined,
+        compileOptions: lockedPackage.compileOptions || undefined,
+        urls: lockedPackage.files.map(file => [file.path, file.url])
+      };
+      const resolvedPackage = new ResolvedPackage(key, lockedPackage.url, lockedPackage.version, packageJson);
+      resolvedPackage.resolvedVersion = lockedPackage.resolved;
+      resolvedPackage.dependencies = lockedPackage.dependencies;
+      graph.packages.set(key, resolvedPackage);
+    }
+    return graph;
+  }
+
+  toJSON() {
+    return {
+      lockfileVersion: LOCKFILE_VERSION,
+      root: this.root,
+      packages: this.packages,
+      archive: this.archive
+    };
+  }
+}
+
+export { Lockfile };
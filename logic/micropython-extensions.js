@@ -1,4 +1,5 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import MicroPythonBoard from 'micropython.js';
 import CRC32 from 'crc-32';
@@ -84,87 +85,366 @@ async function executePythonFile(board, filePath, templateParameters) {
 }
 
 /**
- * Calculates the CRC32 checksum of the given data
- * It converts the checksum to an unsigned 32-bit integer to match Python's implementation
- * and then returns it as a Uint8Array
- * @param {number[] | Uint8Array } data 
- * @returns {Uint8Array} The CRC32 checksum as a Uint8Array
+ * The largest chunk size writeFile() grows to in raw-paste mode. Larger chunks need more RAM on the board.
  */
-function getCRC32(data){  
-  const crc = CRC32.buf(data) >>> 0; // Convert to unsigned 32 bit
-  const buffer = new ArrayBuffer(4); // 4 bytes for a 32-bit integer
-  const view = new DataView(buffer);
-  view.setUint32(0, crc); // Set the 32-bit unsigned integer at byteOffset = 0
-  return new Uint8Array(buffer);
+const MAX_CHUNK_SIZE = 4096;
+
+/**
+ * The largest chunk size writeFile() grows to in the regular raw REPL.
+ * It has no flow control so larger commands can overflow the input buffer of boards with small UARTs.
+ */
+const MAX_RAW_REPL_CHUNK_SIZE = 512;
+
+/**
+ * The number of chunks that have to be written successfully in a row before the chunk size is doubled
+ */
+const CHUNK_GROWTH_THRESHOLD = 4;
+
+/**
+ * Buffers the data received on the serial port of a board so that it can be read in exact amounts.
+ * Used for the raw-paste mode which requires flow control that micropython.js doesn't offer.
+ */
+class SerialReader {
+
+  /**
+   * Creates a new SerialReader and starts listening on the serial port
+   * @param {SerialPort} serial The serial port of the board
+   */
+  constructor(serial) {
+    this.serial = serial;
+    this.buffer = Buffer.alloc(0);
+    this.pending = null;
+    // Ends a pending read when the reader is closed
+    this.closeController = new AbortController();
+    this.onData = (data) => {
+      this.buffer = Buffer.concat([this.buffer, Buffer.from(data)]);
+      this.pending?.();
+    };
+    this.serial.on('data', this.onData);
+  }
+
+  /**
+   * @returns {number} The number of received bytes that haven't been read yet
+   */
+  get available() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Waits until the buffer satisfies the given condition and consumes the bytes up to the returned index
+   * @param {function(Buffer): number} getEndIndex Returns the end index of the data to consume or -1 to keep waiting
+   * @param {number} timeout The timeout in milliseconds
+   * @returns {Promise<Buffer>} The consumed data
+   */
+  async #consume(getEndIndex, timeout) {
+    const waitForData = new Promise((resolve) => {
+      this.pending = () => {
+        const endIndex = getEndIndex(this.buffer);
+        if (endIndex === -1) return;
+        this.pending = null;
+        const data = this.buffer.subarray(0, endIndex);
+        this.buffer = this.buffer.subarray(endIndex);
+        resolve(data);
+      };
+      this.pending();
+    });
+
+    try {
+      return await pTimeout(waitForData, { milliseconds: timeout, message: "Timeout waiting for the board to respond", signal: this.closeController.signal });
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Reads exactly the given number of bytes
+   * @param {number} length The number of bytes to read
+   * @param {number} timeout The timeout in milliseconds. Defaults to 3000ms
+   * @returns {Promise<Buffer>} The data
+   */
+  read(length, timeout = 3000) {
+    return this.#consume(buffer => buffer.length >= length ? length : -1, timeout);
+  }
+
+  /**
+   * Reads until the given ending was received
+   * @param {string} ending The data that ends the read. It's included in the result.
+   * @param {number} timeout The timeout in milliseconds. Defaults to 3000ms
+   * @returns {Promise<Buffer>} The data including the ending
+   */
+  readUntil(ending, timeout = 3000) {
+    return this.#consume(buffer => {
+      const index = buffer.indexOf(ending);
+      return index === -1 ? -1 : index + ending.length;
+    }, timeout);
+  }
+
+  /**
+   * Stops listening on the serial port and rejects a pending read. Calling it more than once has no effect.
+   */
+  close() {
+    this.serial.removeListener('data', this.onData);
+    this.pending = null;
+    this.closeController.abort(new Error('The serial reader was closed'));
+  }
+}
+
+/**
+ * Executes a command in raw-paste mode. The board has to be in raw REPL.
+ * In raw-paste mode the board tells the host how much data it can receive which allows to
+ * send large commands without overflowing its input buffer.
+ * See https://docs.micropython.org/en/latest/reference/repl.html#raw-mode-and-raw-paste-mode
+ * @param {MicroPythonBoard} board The MicroPython board instance
+ * @param {SerialReader} reader The reader listening on the serial port of the board
+ * @param {string} command The command to execute
+ * @param {number} timeout The timeout in milliseconds to wait for the command to finish
+ * @returns {Promise<string>} The output in the same format as exec_raw() i.e. "OK${msg}\x04${err}\x04>"
+ * or null if the board doesn't support raw-paste mode. The board is still in raw REPL in that case.
+ */
+async function execRawPaste(board, reader, command, timeout = 10000) {
+  board.serial.write('\x05A\x01');
+  const response = (await reader.read(2)).toString('binary');
+
+  if (response === 'R\x00') {
+    return null;
+  }
+  if (response !== 'R\x01') {
+    // Firmware that predates raw-paste mode prints the raw REPL banner again
+    await reader.readUntil('w REPL; CTRL-B to exit\r\n>');
+    return null;
+  }
+
+  const windowSize = (await reader.read(2)).readUInt16LE(0);
+  let windowRemaining = windowSize;
+  const data = Buffer.from(command);
+  let i = 0, endedEarly = false;
+
+  while (i < data.length) {
+    while (windowRemaining === 0 || reader.available > 0) {
+      const flowControl = (await reader.read(1))[0];
+      if (flowControl === 0x01) {
+        windowRemaining += windowSize;
+      } else if (flowControl === 0x04) {
+        // The board ended the transfer early e.g. because of a syntax error
+        endedEarly = true;
+        break;
+      } else {
+        throw new Error(`Unexpected data during raw-paste: ${flowControl}`);
+      }
+    }
+    if (endedEarly) break;
+    const slice = data.subarray(i, i + windowRemaining);
+    board.serial.write(slice);
+    windowRemaining -= slice.length;
+    i += slice.length;
+  }
+
+  board.serial.write('\x04');
+  if (!endedEarly) {
+    // Skip remaining flow control bytes until the board acknowledges the end of the data
+    await reader.readUntil('\x04');
+  }
+  const output = await reader.readUntil('\x04', timeout);
+  const error = await reader.readUntil('\x04>', timeout);
+  return `OK${output.toString()}${error.toString()}`;
 }
 
 /**
  * Writes a file to the board and validates the CRC32 checksum of the data
- * The file is read in chunks of the specified size and the CRC32 checksum is calculated for each chunk.
+ * The file is sent in base64 (or hex on ports without base64 support) encoded chunks which are decoded,
+ * validated and written on the board in a single round-trip. Raw-paste mode is used if the board supports it.
+ * The chunk size is doubled after every few successfully written chunks up to MAX_CHUNK_SIZE
+ * (MAX_RAW_REPL_CHUNK_SIZE without raw-paste mode) and halved when a chunk fails the CRC32 check.
  * @param {MicroPythonBoard} board The MicroPython board instance
  * @param {string} src The source file path to read from
  * @param {string} dest The destination file path to write to
  * @param {function} data_consumer The callback function to consume the data read progress
  * @param {number} chunkSize The initial chunk size to read the file in
+ * @param {AbortSignal} signal An optional signal to cancel the transfer. It's checked before every chunk.
+ * When aborted, the file on the board is closed, the raw REPL is exited and the promise rejects
+ * with the reason of the signal. The partially written file is left on the board.
+ * If the serial port is closed when the signal aborts e.g. because the board disconnected,
+ * the pending command is abandoned right away and the board isn't accessed anymore.
+ * @param {number} offset The byte offset to resume an interrupted transfer at. The data before the offset
+ * has to be on the board already, see getResumeOffset(). Defaults to 0 which overwrites the file.
  * @returns {Promise<string>} The output of the write operation
  */
-async function writeFile(board, src, dest, data_consumer, chunkSize = 512) {
+async function writeFile(board, src, dest, data_consumer, chunkSize = 512, signal = null, offset = 0) {
   await getPromptWithTimeout(board);
   data_consumer = data_consumer || function () { }
-  if (src && dest) {
-    const fileContent = fs.readFileSync(path.resolve(src), 'binary');
-    const contentBuffer = Buffer.from(fileContent, 'binary');
-    const scriptPath = path.join(__dirname, "python", 'crc.py');
-    let output = await board.execfile(scriptPath);
-    let completeOutput = ''
+  if (!src || !dest) {
+    return Promise.reject(new Error(`Must specify source and destination paths`))
+  }
+
+  // A board that disconnected never responds. Its pending command is abandoned when the signal aborts.
+  // The serial port is captured as it may be replaced once the connection is reopened.
+  const serial = board.serial;
+  let onAbort;
+  const connectionLost = new Promise((resolve, reject) => {
+    onAbort = () => {
+      if (!serial?.isOpen) reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort);
+  });
+  connectionLost.catch(() => {});
+  const interruptible = (operation) => Promise.race([operation, connectionLost]);
+
+  const contentBuffer = fs.readFileSync(path.resolve(src));
+  const scriptPath = path.join(__dirname, "python", 'crc.py');
+  let output;
+  let completeOutput = ''
+  let reader = null;
 
+  // The reader and the abort listener are detached in the finally block on every exit path
+  try {
+    output = await interruptible(board.execfile(scriptPath));
     if (output.slice(2, -3) != '') {
-      return Promise.reject(new Error(`Error executing Python script: ${output}`));
+      throw new Error(`Error executing Python script: ${output}`);
     }
 
-    completeOutput += await board.enter_raw_repl();
-    completeOutput += await board.exec_raw(`f=open('${dest}','wb')\nw=f.write`);
-    let i = 0, currentProgress = 0;
-    
+    completeOutput += await interruptible(board.enter_raw_repl());
+    reader = new SerialReader(serial);
+    const openCommand = `f=open('${dest}','${offset > 0 ? 'ab' : 'wb'}')\nprint(ENCODING)`;
+    let exec = (command) => interruptible(execRawPaste(board, reader, command));
+    let maxChunkSize = MAX_CHUNK_SIZE;
+
+    output = await exec(openCommand);
+    if (output === null) {
+      // Fall back to the regular raw REPL
+      reader.close();
+      exec = (command) => interruptible(board.exec_raw(command));
+      maxChunkSize = MAX_RAW_REPL_CHUNK_SIZE;
+      output = await exec(openCommand);
+    }
+    completeOutput += output
+    const encoding = extractREPLMessage(output) === 'hex' ? 'hex' : 'base64';
+
+    let i = offset, currentProgress = 0, successfulChunks = 0;
+
     while(i < contentBuffer.length) {
-      let slice = Uint8Array.from(contentBuffer.subarray(i, i + chunkSize));
-      const crcData = getCRC32(slice);
-      const mergedData = new Uint8Array(slice.length + crcData.length);
-      mergedData.set(slice);
-      mergedData.set(crcData, slice.length);
-
-      let line = `d=bytes([${mergedData}]);print(1 if validate_crc(d) else 0)`;
-      output = await board.exec_raw(line)
+      if (signal?.aborted) {
+        if (serial?.isOpen) {
+          await exec(`f.close()`)
+          await board.exit_raw_repl()
+        }
+        throw signal.reason
+      }
+      const slice = contentBuffer.subarray(i, i + chunkSize);
+      const crc = CRC32.buf(slice) >>> 0;
+      output = await exec(`write_chunk(f,b'${slice.toString(encoding)}',${crc})`)
       completeOutput += output
-      const crcCorrect = output.slice(2, -5) == '1'
+      const crcCorrect = extractREPLMessage(output) == '1'
 
       if (!crcCorrect) {
         const chunkEndIndex = i + chunkSize
         chunkSize = Math.floor(chunkSize / 2) // Reduce chunk size by half
-        
+        successfulChunks = 0
+
         if(chunkSize < 1) {
-          completeOutput += await board.exec_raw(`f.close()`)
-          return Promise.reject(new Error(`CRC32 check failed at byte ${i} .. ${chunkEndIndex}`))
+          completeOutput += await exec(`f.close()`)
+          throw new Error(`CRC32 check failed at byte ${i} .. ${chunkEndIndex}`)
         }
-        
+
         continue
-      } else {
-        // Writa data excluding the last 4 bytes (CRC32)
-        completeOutput += await board.exec_raw(`w(d[:-4])`)
-        const newProgress = parseInt((i / contentBuffer.length) * 100)
-        if (newProgress != currentProgress) {
-          data_consumer(newProgress + '%')
-          currentProgress = newProgress
-        }
-        i += chunkSize
       }
 
+      i += slice.length
+      const newProgress = parseInt((i / contentBuffer.length) * 100)
+      if (newProgress != currentProgress) {
+        data_consumer(newProgress + '%')
+        currentProgress = newProgress
+      }
+      if (++successfulChunks >= CHUNK_GROWTH_THRESHOLD && chunkSize < maxChunkSize) {
+        chunkSize = Math.min(chunkSize * 2, maxChunkSize)
+        successfulChunks = 0
+      }
     }
-    completeOutput += await board.exec_raw(`f.close()`)
-    completeOutput += await board.exit_raw_repl()
-    return Promise.resolve(completeOutput)
+    completeOutput += await exec(`f.close()`)
+    completeOutput += await interruptible(board.exit_raw_repl())
+  } finally {
+    reader?.close();
+    signal?.removeEventListener('abort', onAbort);
+  }
+  return Promise.resolve(completeOutput)
+}
+
+/**
+ * Determines where an interrupted transfer of a file can be resumed.
+ * The size and CRC32 checksum of the partial file on the board are compared with the same prefix of the local file.
+ * A file handle that was left open by the interrupted transfer is closed first so that all data is flushed.
+ * @param {MicroPythonBoard} board The MicroPython board instance
+ * @param {string} src The local file path
+ * @param {string} dest The file path on the board
+ * @returns {Promise<number>} The number of bytes that were verified on the board
+ * or 0 if the transfer has to start over because the file doesn't exist or doesn't match
+ */
+async function getResumeOffset(board, src, dest) {
+  const contentBuffer = fs.readFileSync(path.resolve(src));
+  const scriptPath = path.join(__dirname, "python", 'crc.py');
+  await getPromptWithTimeout(board);
+  let output = await board.execfile(scriptPath);
+
+  if (output.slice(2, -3) != '') {
+    throw new Error(`Error executing Python script: ${output}`);
+  }
+
+  let command =  `try:\n`;
+      command += `    f.close()\n`;
+      command += `except Exception:\n`;
+      command += `    pass\n`;
+      command += `print_file_crc('${dest}')\n`;
+  await board.enter_raw_repl();
+  output = extractREPLMessage(await board.exec_raw(command));
+  await board.exit_raw_repl();
+
+  const [size, crc] = output.split(' ').map(Number);
+  if (!(size > 0) || size > contentBuffer.length) {
+    return 0;
+  }
+  return (CRC32.buf(contentBuffer.subarray(0, size)) >>> 0) === crc ? size : 0;
+}
+
+/**
+ * Reads the content of a text file on the board
+ * @param {MicroPythonBoard} board The MicroPython board instance
+ * @param {string} filePath The file path on the board
+ * @returns {Promise<string>} The content of the file or null if the file doesn't exist
+ */
+async function readFileContent(board, filePath) {
+  if (!await fileOrDirectoryExists(board, filePath)) {
+    return null;
+  }
+  let command =  `with open("${filePath}", "r") as f:\n`;
+      command += `    print(f.read(), end="")\n`;
+  await getPromptWithTimeout(board);
+  await board.enter_raw_repl();
+  const output = extractREPLMessage(await board.exec_raw(command), false);
+  await board.exit_raw_repl();
+
+  if (output.includes('Traceback')) {
+    throw new Error(`Failed to read file ${filePath}: ${output}`);
+  }
+  return output;
+}
+
+/**
+ * Writes the given text content to a file on the board.
+ * The content is transferred with the same CRC32 validation as regular files.
+ * @param {MicroPythonBoard} board The MicroPython board instance
+ * @param {string} content The text content to write
+ * @param {string} dest The destination file path on the board
+ * @returns {Promise<string>} The output of the write operation
+ */
+async function writeFileContent(board, content, dest) {
+  const tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'upy-content-'));
+  const tempFilePath = path.join(tempDirectory, path.posix.basename(dest));
+  fs.writeFileSync(tempFilePath, content);
+
+  try {
+    return await writeFile(board, tempFilePath, dest);
+  } finally {
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
   }
-  return Promise.reject(new Error(`Must specify source and destination paths`))
 }
 
 /**
@@ -208,4 +488,4 @@ async function getLibrariesSystemPath(board){
   return output === "" ? null : output;
 }
 
-export { getLibrariesSystemPath, extractREPLMessage, executePythonFile, fileOrDirectoryExists, writeFile, ensureDirectoryExists, getPromptWithTimeout };
\ No newline at end of file
+export { getLibrariesSystemPath, extractREPLMessage, executePythonFile, fileOrDirectoryExists, writeFile, getResumeOffset, readFileContent, writeFileContent, ensureDirectoryExists, getPromptWithTimeout };
\ No newline at end of file
@@ -1,22 +1,109 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { platform } from 'os';
 import path from 'path';
 import fs from 'fs';
+import { calculateFileHash } from './file-helpers.js';
+import { PackageCache } from './package-cache.js';
+import { CompilerRegistry } from './compiler-registry.js';
+import { ConsoleReporter } from './progress-reporter.js';
 
 import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * The code emitters supported by the '-X emit=' option of mpy-cross
+ */
+const EMITTERS = ['bytecode', 'native', 'viper'];
+
+/**
+ * Error thrown when one or more files cannot be compiled
+ */
+class CompilationError extends Error {
+    /**
+     * Creates a new CompilationError
+     * @param {string} message The error message
+     * @param {Array<Object>} diagnostics The diagnostics of mpy-cross. Each diagnostic has the properties
+     * 'file' (the path relative to the package root), 'line' (null if unknown),
+     * 'type' (e.g. 'SyntaxError' or null if unknown) and 'message'.
+     * @param {Object} report The compile report of the archive if the error concerns a whole archive.
+     * See ArchiveResult.compileReport.
+     */
+    constructor(message, diagnostics = [], report = null) {
+        super(message);
+        this.name = 'CompilationError';
+        this.diagnostics = diagnostics;
+        this.report = report;
+    }
+
+    /**
+     * Formats a diagnostic as a single line e.g. 'mylib/main.py:3: SyntaxError: invalid syntax'
+     * @param {Object} diagnostic The diagnostic
+     * @returns {string} The formatted diagnostic
+     */
+    static formatDiagnostic(diagnostic) {
+        const location = diagnostic.line !== null ? `${diagnostic.file}:${diagnostic.line}` : diagnostic.file;
+        const type = diagnostic.type ? `${diagnostic.type}: ` : '';
+        return `${location}: ${type}${diagnostic.message}`;
+    }
+}
+
 /**
  * Class to compile MicroPython files using the mpy-cross compiler
+ * The compiler binary is chosen from a CompilerRegistry based on the mpy file format of the board.
  */
 class MPyCrossCompiler {
 
+    /**
+     * Creates a new MPyCrossCompiler instance
+     * @param {PackageCache} cache An optional cache for compiled files.
+     * Compiled files are keyed by the hash of the source file, the mpy-cross version and the architecture.
+     * @param {Object} options Additional options.
+     * @param {Array<string>} options.compilers Paths of additional mpy-cross binaries
+     * that are preferred over the bundled ones.
+     * @param {CompilerRegistry} options.registry The registry to choose the compiler from.
+     * Takes precedence over options.compilers.
+     * @param {ProgressReporter} options.reporter The reporter for 'compile' events. Defaults to a ConsoleReporter.
+     * @param {AbortSignal} options.signal A signal to cancel the compilation. Running mpy-cross processes are killed
+     * and compileFile() rejects with the reason of the signal.
+     */
+    constructor(cache = null, options = {}) {
+        this.cache = cache;
+        this.registry = options.registry || new CompilerRegistry(options.compilers);
+        this.reporter = options.reporter || new ConsoleReporter();
+        this.signal = options.signal || null;
+
+        /**
+         * The compiler chosen by selectCompiler() as returned by CompilerRegistry.findCompiler()
+         * @type {Object}
+         */
+        this.selectedCompiler = null;
+    }
+
+    /**
+     * Chooses the compiler for the given mpy file format
+     * @param {number} mpyFileFormat The major version of the mpy file format
+     * @returns {Promise<Object>} The chosen compiler with the properties 'path', 'source', 'architecture',
+     * 'mpyFormat' and 'version' or null if no compiler supports the format
+     */
+    async selectCompiler(mpyFileFormat){
+        this.selectedCompiler = await this.registry.findCompiler(mpyFileFormat);
+        if(this.selectedCompiler){
+            const { source, path: compilerPath, version } = this.selectedCompiler;
+            this.reporter.report({ phase: 'compile', status: 'info', compiler: this.selectedCompiler, message: `Using ${source} compiler ${compilerPath} (${version})` });
+        }
+        return this.selectedCompiler;
+    }
+
     /**
      * Retrieves the path to the mpy-cross compiler binary
-     * @returns {string} The path to the mpy-cross compiler binary or null if the binary does not exist
+     * @returns {string} The path to the selected compiler or if none was selected, the default
+     * bundled binary for this platform. Null if the binary does not exist
      */
     getCompilerBinaryPath(){
+        if(this.selectedCompiler){
+            return this.selectedCompiler.path;
+        }
         let binaryPath = path.join(__dirname, `../bin/${platform()}/mpy-cross`);
         if(platform() === 'win32'){
             binaryPath += '.exe';
@@ -49,22 +136,119 @@ class MPyCrossCompiler {
     }
 
     /**
-     * Checks if the mpy-cross compiler supports the given mpy file format
+     * Retrieves the full version string of the mpy-cross compiler
+     * e.g. 'MicroPython v1.23.0 on 2024-06-02; mpy-cross emitting mpy v6.3'
+     * @returns {Promise<string>} The version string
+     * @throws {Error} If the compiler version cannot be determined
+     */
+    async getCompilerVersion(){
+        const compilerPath = this.getCompilerBinaryPath();
+        const version = compilerPath ? await this.registry.getVersion(compilerPath) : null;
+        if(!version){
+            throw new Error('Failed to determine the mpy-cross version');
+        }
+        return version;
+    }
+
+    /**
+     * Checks if one of the available compilers supports the given mpy file format
+     * and selects it for compilation
      * @param {number} mpyFileFormat The major version of the mpy file format
-     * @returns {Promise<boolean>} A promise that resolves to true if the compiler
+     * @returns {Promise<boolean>} A promise that resolves to true if a compiler
      * supports the given mpy file format
-     * @throws {Error} If the compiler version cannot be determined
      */
     async supportsMpyFileFormat(mpyFileFormat){
         try {
-            const compilerFileFormat = await this.getMPyFileFormatFromCompiler();
-            return compilerFileFormat == mpyFileFormat
+            return await this.selectCompiler(mpyFileFormat) !== null;
         } catch (error) {
-            console.error(`Error determining compiler file format: ${error.message}`);
+            this.reporter.report({ phase: 'compile', status: 'error', message: `Error determining compiler file format: ${error.message}` });
             return false;
         }
     }
 
+    /**
+     * Creates the mpy-cross command line flags for the given compile options
+     * @param {string} relativeFilePath The path of the file relative to the base path
+     * @param {string} boardArchitecture The architecture of the board (e.g. 'xtensa') or null
+     * @param {Object} options The compile options.
+     * @param {number} options.optimizationLevel The optimisation level from 0 to 3 (-O).
+     * Level 3 removes asserts and doesn't store line numbers.
+     * @param {string} options.emit The code emitter: 'bytecode', 'native' or 'viper' (-X emit=).
+     * Native code requires the architecture of the board.
+     * @param {string} options.sourceName The source file name stored in the compiled file (-s).
+     * '{path}' is replaced with the relative file path and '{name}' with the file name.
+     * @param {number} options.smallIntBits The number of bits of a small int (-msmall-int-bits=)
+     * @returns {Array<string>} The flags
+     * @throws {Error} If an option is invalid
+     */
+    getCompileFlags(relativeFilePath, boardArchitecture = null, options = {}){
+        const flags = boardArchitecture ? [`-march=${boardArchitecture}`] : [];
+        const { optimizationLevel, emit, sourceName, smallIntBits } = options || {};
+
+        if(optimizationLevel !== undefined && optimizationLevel !== null){
+            if(!Number.isInteger(optimizationLevel) || optimizationLevel < 0 || optimizationLevel > 3){
+                throw new Error(`Invalid optimization level ${optimizationLevel}. Expected a value from 0 to 3.`);
+            }
+            flags.push(`-O${optimizationLevel}`);
+        }
+
+        if(emit){
+            if(!EMITTERS.includes(emit)){
+                throw new Error(`Invalid emitter '${emit}'. Expected one of ${EMITTERS.join(', ')}.`);
+            }
+            if(emit !== 'bytecode' && !boardArchitecture){
+                throw new Error(`Emitting ${emit} code requires the architecture of the board.`);
+            }
+            flags.push('-X', `emit=${emit}`);
+        }
+
+        if(smallIntBits !== undefined && smallIntBits !== null){
+            if(!Number.isInteger(smallIntBits) || smallIntBits < 1){
+                throw new Error(`Invalid small int bit width ${smallIntBits}.`);
+            }
+            flags.push(`-msmall-int-bits=${smallIntBits}`);
+        }
+
+        if(sourceName){
+            const posixPath = relativeFilePath.replace(/\\/g, '/');
+            flags.push('-s', sourceName.replace('{path}', posixPath).replace('{name}', path.basename(posixPath)));
+        }
+        return flags;
+    }
+
+    /**
+     * Parses the error output of mpy-cross into diagnostics. mpy-cross reports errors as a traceback e.g.
+     *   File "mylib/main.py", line 3
+     * SyntaxError: invalid syntax
+     * @param {string} output The error output of mpy-cross
+     * @param {string} relativeFilePath The path of the compiled file used if the output contains no location
+     * @returns {Array<Object>} The diagnostics with the properties 'file', 'line', 'type' and 'message'.
+     * Output that can't be parsed results in a single diagnostic containing the whole output.
+     */
+    parseDiagnostics(output, relativeFilePath){
+        const defaultFile = relativeFilePath.replace(/\\/g, '/');
+        const diagnostics = [];
+        let location = null;
+
+        for(const line of output.split(/\r?\n/)){
+            const locationMatch = line.match(/^\s*File "(.+)", line (\d+)/);
+            if(locationMatch){
+                location = { file: locationMatch[1].replace(/\\/g, '/'), line: parseInt(locationMatch[2]) };
+                continue;
+            }
+            const errorMatch = line.match(/^(\w+(?:Error|Exception|Warning)): ?(.*)$/);
+            if(errorMatch){
+                diagnostics.push({ file: location?.file ?? defaultFile, line: location?.line ?? null, type: errorMatch[1], message: errorMatch[2] });
+                location = null;
+            }
+        }
+
+        if(diagnostics.length === 0){
+            diagnostics.push({ file: defaultFile, line: null, type: null, message: output.trim() });
+        }
+        return diagnostics;
+    }
+
     /**
      * Compiles the given files using the mpy-cross compiler
      * @param {string[]} filePaths The paths to the files to compile
@@ -91,16 +275,24 @@ class MPyCrossCompiler {
      * When an excpetion is thrown in the compiled file, the hardcoded file path will be shown.
      * @param {string} boardArchitecture The architecture of the board (e.g. 'xtensa').
      * If omitted, the architecture will not be specified for compilation.
+     * @param {Object} options The compile options. See getCompileFlags().
      * @returns {Promise<string>} A promise that resolves with the path to the compiled file.
      * The compiled file will have the same name as the input file but with the .mpy extension.
-     * @throws {Error} If the compilation fails
+     * Files that aren't .py files are not compiled and the promise resolves with their original path.
+     * @throws {CompilationError} If the compilation fails
+     * @throws {Error} If the options are invalid
      */
-    async compileFile(filePath, basePath = null, boardArchitecture = null){                
-        let flags = boardArchitecture ? `-march=${boardArchitecture}` : '';
+    async compileFile(filePath, basePath = null, boardArchitecture = null, options = {}){                
 
         // If the file is already an mpy file, just return the file path
         if(filePath.endsWith('.mpy')){
-            console.debug(`👍 File ${filePath} is already an mpy file. Skipping compilation.`);
+            this.reporter.report({ phase: 'compile', status: 'skip', file: filePath, message: `File ${filePath} is already an mpy file. Skipping compilation.` });
+            return Promise.resolve(filePath);
+        }
+
+        // Other files such as data files are packaged as they are
+        if(!filePath.endsWith('.py')){
+            this.reporter.report({ phase: 'compile', status: 'skip', file: filePath, message: `File ${filePath} is not a Python file. Skipping compilation.` });
             return Promise.resolve(filePath);
         }
 
@@ -110,18 +302,46 @@ class MPyCrossCompiler {
         }
 
         const relativeFilePath = basePath ? path.relative(basePath, filePath) : filePath;
+        this.signal?.throwIfAborted();
+        const compiledFilePath = `${filePath.slice(0, -3)}.mpy`;
+        const flags = this.getCompileFlags(relativeFilePath, boardArchitecture, options);
+        let cacheKey = null;
+        this.reporter.report({ phase: 'compile', status: 'start', file: relativeFilePath, message: `Compiling ${relativeFilePath}...` });
 
-        return new Promise((resolve, reject) => {
-            exec(`${compilerPath} ${relativeFilePath} ${flags}`, {cwd: basePath}, (error, stdout, stderr) => {
+        if(this.cache){
+            // The relative file path is part of the key as it's embedded in the compiled file
+            cacheKey = [await calculateFileHash(filePath), relativeFilePath, await this.getCompilerVersion(), boardArchitecture, flags];
+            const cachedFile = await this.cache.get('compile', cacheKey);
+            if(cachedFile){
+                await fs.promises.copyFile(cachedFile.path, compiledFilePath);
+                this.reporter.report({ phase: 'compile', status: 'end', file: relativeFilePath, cached: true, message: `Compiled ${relativeFilePath} (cached)` });
+                return compiledFilePath;
+            }
+        }
+
+        await new Promise((resolve, reject) => {
+            execFile(compilerPath, [relativeFilePath, ...flags], {cwd: basePath, signal: this.signal ?? undefined}, (error, stdout, stderr) => {
+                if (error && this.signal?.aborted) {
+                    reject(this.signal.reason);
+                    return;
+                }
                 if (error) {
-                    reject(error);
+                    const diagnostics = this.parseDiagnostics(stderr || error.message, relativeFilePath);
+                    const details = diagnostics.map(diagnostic => CompilationError.formatDiagnostic(diagnostic)).join('\n');
+                    reject(new CompilationError(`Failed to compile ${relativeFilePath}: ${details}`, diagnostics));
                     return;
                 }
-                // Resolve with the compiled file path (<filename>.mpy)
-                resolve(`${filePath.slice(0, -3)}.mpy`);
+                resolve();
             });
         });
+
+        if(this.cache){
+            await this.cache.put('compile', cacheKey, compiledFilePath);
+        }
+        this.reporter.report({ phase: 'compile', status: 'end', file: relativeFilePath, cached: false, message: `Compiled ${relativeFilePath}` });
+        // Resolve with the compiled file path (<filename>.mpy)
+        return compiledFilePath;
     }
 }
 
-export { MPyCrossCompiler };
\ No newline at end of file
+export { MPyCrossCompiler, CompilationError };
\ No newline at end of file
@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { calculateFileHash } from './file-helpers.js';
+
+/**
+ * The default location of the cache. Can be overridden with the UPY_PACKAGER_CACHE environment variable.
+ */
+const DEFAULT_CACHE_DIRECTORY = path.join(os.homedir(), '.cache', 'upy-packager');
+
+/**
+ * The default maximum size of the cache in bytes (500 MB)
+ */
+const DEFAULT_MAX_CACHE_SIZE = 500 * 1024 * 1024;
+
+/**
+ * Class to store downloaded files, compiled files and archives in a persistent, content-addressed
+ * cache on the local disk.
+ * The content of every cached file is stored once under its sha256 hash in the 'objects' folder.
+ * Cache entries map a key to such an object and are stored in the 'entries' folder.
+ * When the cache exceeds its maximum size, the least recently used entries are removed.
+ */
+class PackageCache {
+
+  /**
+   * Creates a new PackageCache instance
+   * @param {string} cacheDirectory The directory to store the cache in.
+   * Defaults to the UPY_PACKAGER_CACHE environment variable or ~/.cache/upy-packager
+   * @param {number} maxSize The maximum size of the cache in bytes. Defaults to 500 MB.
+   */
+  constructor(cacheDirectory = null, maxSize = DEFAULT_MAX_CACHE_SIZE) {
+    this.cacheDirectory = cacheDirectory || process.env.UPY_PACKAGER_CACHE || DEFAULT_CACHE_DIRECTORY;
+    this.maxSize = maxSize;
+    this.objectsDirectory = path.join(this.cacheDirectory, 'objects');
+    this.entriesDirectory = path.join(this.cacheDirectory, 'entries');
+  }
+
+  /**
+   * Calculates the hash that identifies a cache entry
+   * @param {string} namespace The namespace of the entry e.g. 'download'
+   * @param {Array} keyParts The values the entry is keyed by
+   * @returns {string} The hex encoded sha256 hash of the key
+   */
+  getKeyHash(namespace, keyParts) {
+    return crypto.createHash('sha256').update(JSON.stringify([namespace, ...keyParts])).digest('hex');
+  }
+
+  /**
+   * Gets the path of a cached object
+   * @param {string} contentHash The sha256 hash of the object's content
+   * @returns {string} The path of the object in the cache
+   */
+  getObjectPath(contentHash) {
+    return path.join(this.objectsDirectory, contentHash.slice(0, 2), contentHash);
+  }
+
+  /**
+   * Gets the path of the file describing a cache entry
+   * @param {string} keyHash The hash of the entry's key
+   * @returns {string} The path of the entry file
+   */
+  getEntryPath(keyHash) {
+    return path.join(this.entriesDirectory, `${keyHash}.json`);
+  }
+
+  /**
+   * Retrieves a cache entry
+   * @param {string} namespace The namespace of the entry e.g. 'download'
+   * @param {Array} keyParts The values the entry is keyed by
+   * @returns {Promise<Object>} An object with the properties 'path' (the path of the cached file)
+   * and 'metadata' or null if there is no such entry.
+   */
+  async get(namespace, keyParts) {
+    const entryPath = this.getEntryPath(this.getKeyHash(namespace, keyParts));
+    try {
+      const entry = await fs.readJson(entryPath);
+      const objectPath = this.getObjectPath(entry.contentHash);
+      if (!await fs.pathExists(objectPath)) {
+        return null;
+      }
+      // Update the modification time which is used to determine the least recently used entries
+      const now = new Date();
+      await fs.utimes(entryPath, now, now);
+      return { path: objectPath, metadata: entry.metadata };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a file in the cache
+   * @param {string} namespace The namespace of the entry e.g. 'download'
+   * @param {Array} keyParts The values the entry is keyed by
+   * @param {string} filePath The path of the file to store
+   * @param {Object} metadata Additional data to store with the entry
+   */
+  async put(namespace, keyParts, filePath, metadata = {}) {
+    const contentHash = await calculateFileHash(filePath);
+    const objectPath = this.getObjectPath(contentHash);
+
+    if (!await fs.pathExists(objectPath)) {
+      // Write to a temporary file first so that concurrent readers never see partial files
+      const tempObjectPath = `${objectPath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.ensureDir(path.dirname(objectPath));
+      await fs.copy(filePath, tempObjectPath);
+      await fs.move(tempObjectPath, objectPath, { overwrite: true });
+    }
+
+    const size = (await fs.stat(objectPath)).size;
+    await fs.outputJson(this.getEntryPath(this.getKeyHash(namespace, keyParts)), { contentHash, size, metadata });
+    await this.prune();
+  }
+
+  /**
+   * Stores the given content in the cache
+   * @param {string} namespace The namespace of the entry e.g. 'package-json'
+   * @param {Array} keyParts The values the entry is keyed by
+   * @param {string|Buffer} content The content to store
+   * @param {Object} metadata Additional data to store with the entry
+   */
+  async putContent(namespace, keyParts, content, metadata = {}) {
+    const tempDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'upy-cache-'));
+    try {
+      const tempFilePath = path.join(tempDirectory, 'content');
+      await fs.writeFile(tempFilePath, content);
+      await this.put(namespace, keyParts, tempFilePath, metadata);
+    } finally {
+      await fs.remove(tempDirectory);
+    }
+  }
+
+  /**
+   * Reads the content of a cache entry
+   * @param {string} namespace The namespace of the entry e.g. 'package-json'
+   * @param {Array} keyParts The values the entry is keyed by
+   * @returns {Promise<Buffer>} The content or null if there is no such entry
+   */
+  async getContent(namespace, keyParts) {
+    const entry = await this.get(namespace, keyParts);
+    return entry ? fs.readFile(entry.path) : null;
+  }
+
+  /**
+   * Removes a cache entry e.g. because its content turned out to be corrupted.
+   * The cached object is removed too unless other entries reference it.
+   * @param {string} namespace The namespace of the entry e.g. 'download'
+   * @param {Array} keyParts The values the entry is keyed by
+   */
+  async remove(namespace, keyParts) {
+    const entryPath = this.getEntryPath(this.getKeyHash(namespace, keyParts));
+    let contentHash;
+    try {
+      ({ contentHash } = await fs.readJson(entryPath));
+    } catch (error) {
+      return;
+    }
+    await fs.remove(entryPath);
+
+    for (const fileName of await fs.readdir(this.entriesDirectory)) {
+      try {
+        const entry = await fs.readJson(path.join(this.entriesDirectory, fileName));
+        if (entry.contentHash === contentHash) return;
+      } catch (error) {
+        // Ignore entries that were removed or are being written concurrently
+      }
+    }
+    await fs.remove(this.getObjectPath(contentHash));
+  }
+
+  /**
+   * Removes the least recently used entries and unreferenced objects until the cache
+   * no longer exceeds its maximum size.
+   */
+  async prune() {
+    if (!await fs.pathExists(this.entriesDirectory)) return;
+
+    const entries = [];
+    for (const fileName of await fs.readdir(this.entriesDirectory)) {
+      const entryPath = path.join(this.entriesDirectory, fileName);
+      try {
+        const { contentHash, size } = await fs.readJson(entryPath);
+        const { mtimeMs } = await fs.stat(entryPath);
+        entries.push({ entryPath, contentHash, size, mtimeMs });
+      } catch (error) {
+        // Ignore entries that were removed or are being written concurrently
+      }
+    }
+
+    // Objects are shared between entries with the same content
+    const objectSizes = new Map(entries.map(entry => [entry.contentHash, entry.size]));
+    let totalSize = [...objectSizes.values()].reduce((sum, size) => sum + size, 0);
+    if (totalSize <= this.maxSize) return;
+
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    const remainingEntries = [...entries];
+
+    while (totalSize > this.maxSize && remainingEntries.length > 0) {
+      const entry = remainingEntries.shift();
+      await fs.remove(entry.entryPath);
+
+      if (!remainingEntries.some(other => other.contentHash === entry.contentHash)) {
+        await fs.remove(this.getObjectPath(entry.contentHash));
+        totalSize -= entry.size;
+      }
+    }
+  }
+
+  /**
+   * Removes all entries from the cache
+   */
+  async clear() {
+    await fs.remove(this.objectsDirectory);
+    await fs.remove(this.entriesDirectory);
+  }
+}
+
+export { PackageCache, DEFAULT_CACHE_DIRECTORY, DEFAULT_MAX_CACHE_SIZE };
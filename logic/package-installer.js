@@ -1,7 +1,12 @@
-import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs';
-import { extractREPLMessage, fileOrDirectoryExists, writeFile, getPromptWithTimeout, ensureDirectoryExists, getLibrariesSystemPath } from './micropython-extensions.js';
+import os from 'os';
+import * as tar from 'tar';
+import { extractREPLMessage, fileOrDirectoryExists, writeFile, getResumeOffset, getPromptWithTimeout, ensureDirectoryExists, getLibrariesSystemPath, readFileContent, writeFileContent } from './micropython-extensions.js';
+import { calculateFileHash, getArchiveSizes } from './file-helpers.js';
+import { PackageManifest, MANIFEST_FILE_NAME } from './package-manifest.js';
+import { ArchiveResult } from './repository-archiver.js';
+import { ConsoleReporter } from './progress-reporter.js';
 import MicroPythonBoard from 'micropython.js';
 
 // Define __dirname for ES6 modules
@@ -9,6 +14,28 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * The supported install strategies. See PackageInstaller.
+ */
+const INSTALL_STRATEGIES = ['auto', 'archive', 'files'];
+
+/**
+ * The RAM extract_archive.py needs: The 32 KB window of the gzip decompressor
+ * plus the buffers for the tar headers and for copying the files
+ */
+const EXTRACTION_MEMORY = 32 * 1024 + 2 * 1024;
+
+/**
+ * The directory in the library folder the archive is extracted to before it's moved into place
+ */
+const STAGING_DIRECTORY_NAME = '.upy-staging';
+
+/**
+ * The directory in the library folder that keeps the replaced package folders and files
+ * until the installation is committed
+ */
+const BACKUP_DIRECTORY_NAME = '.upy-backup';
+
 /**
  * Class to install packages on the MicroPython board.
  * It uploads the package tar file, extracts it and verifies the hash of the extracted files.
@@ -22,10 +49,39 @@ class PackageInstaller {
    * @param {string} libraryPath The path to the library folder on the board. 
    * If not provided, the default library path will be determined and used at installation time.
    * This class assumes that the board's port is already open.
+   * @param {Object} options Additional installation options.
+   * @param {boolean} options.incremental Whether to compare the files of a package with the ones
+   * already installed on the board and only upload the files that changed. Defaults to false.
+   * The installation is skipped entirely if no file changed.
+   * @param {ProgressReporter} options.reporter The reporter for 'upload', 'verify', 'extract', 'install',
+   * 'cleanup' and 'uninstall' events. Defaults to a ConsoleReporter.
+   * @param {AbortSignal} options.signal A signal to cancel the installation. Uploads stop before the next chunk,
+   * a running extraction is interrupted and the uploaded archive is removed from the board.
+   * The installation then rejects with the reason of the signal.
+   * @param {number} options.uploadRetries How many times an interrupted archive upload is retried. Defaults to 3.
+   * A retry resumes the upload at the last byte that was verified on the board.
+   * @param {function} options.reconnect An async function that reopens the connection to the board
+   * after it was lost. It's called before every retry if the serial port is no longer open.
+   * @param {number} options.retryDelay The time in milliseconds to wait before retrying an upload
+   * e.g. to give the board time to re-enumerate. Defaults to 1000.
+   * @param {string} options.strategy How packages are installed: 'archive' uploads the archive and extracts it
+   * on the board, 'files' uploads every file of the package on its own for boards without the
+   * deflate or uctypes module. Defaults to 'auto' which picks the strategy based on the capabilities of the board.
    */
-  constructor(board, libraryPath = null) {
+  constructor(board, libraryPath = null, options = {}) {
     this.board = board;
     this.libraryPath = libraryPath;
+    this.incremental = options.incremental ?? false;
+    this.reporter = options.reporter || new ConsoleReporter();
+    this.signal = options.signal || null;
+    this.uploadRetries = options.uploadRetries ?? 3;
+    this.reconnect = options.reconnect || null;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.strategy = options.strategy || 'auto';
+
+    if (!INSTALL_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Invalid install strategy '${this.strategy}'. Supported strategies: ${INSTALL_STRATEGIES.join(', ')}`);
+    }
   }
 
   /**
@@ -34,13 +90,7 @@ class PackageInstaller {
    * @returns {Promise<string>} The hash of the file
    */
   async calculateHash(filePath) {
-    const hash = crypto.createHash('sha256');
-    const input = fs.createReadStream(filePath);
-    return new Promise((resolve, reject) => {
-      input.on('data', chunk => hash.update(chunk));
-      input.on('end', () => resolve(hash.digest('hex')));
-      input.on('error', reject);
-    });
+    return calculateFileHash(filePath);
   }
 
   /**
@@ -65,6 +115,39 @@ class PackageInstaller {
     return output === '1';
   }
 
+  /**
+   * Calculates the hashes of the given files on the board.
+   * The hashes are calculated the same way as the ones of local files.
+   * @param {Array<string>} targetFiles The file paths on the board
+   * @returns {Promise<Object<string, string>>} The hashes keyed by file path.
+   * The hash is null for files that don't exist on the board.
+   */
+  async getRemoteFileHashes(targetFiles) {
+    const scriptPath = path.join(__dirname, "python", 'file_hashes.py');
+
+    await getPromptWithTimeout(this.board);
+    let output = extractREPLMessage(await this.board.execfile(scriptPath));
+    if (output !== '') {
+      throw new Error('Failed to load file_hashes.py. Output: ' + output);
+    }
+    await this.board.enter_raw_repl();
+    output = extractREPLMessage(await this.board.exec_raw(`print_file_hashes(${JSON.stringify(targetFiles)})`));
+    await this.board.exit_raw_repl()
+
+    if (output.includes('Traceback')) {
+      throw new Error('Failed to calculate file hashes on the board: ' + output);
+    }
+
+    const hashes = {};
+    for (const line of output.split('\r\n').filter(line => line !== '')) {
+      // The file path may contain spaces, the hash is always the last part
+      const separatorIndex = line.lastIndexOf(' ');
+      const hash = line.slice(separatorIndex + 1);
+      hashes[line.slice(0, separatorIndex)] = hash === '-' ? null : hash;
+    }
+    return hashes;
+  }
+
   /**
    * Gets the library path on the board that was either provided
    * through the constructor or determined when calling this method the first time.
@@ -82,6 +165,56 @@ class PackageInstaller {
     return this.libraryPath;
   }
 
+  /**
+   * Gets the path of the manifest file on the board which keeps track of the installed packages
+   * @returns {Promise<string>} The path of the manifest file e.g. '/lib/.upy-packager.json'
+   */
+  async getManifestPath() {
+    const libPath = await this.getLibrariesPath();
+    return path.posix.join(libPath, MANIFEST_FILE_NAME);
+  }
+
+  /**
+   * Reads the manifest of installed packages from the board
+   * @returns {Promise<PackageManifest>} The manifest. An empty manifest is returned
+   * if the board doesn't contain a manifest file yet.
+   */
+  async readManifest() {
+    const content = await readFileContent(this.board, await this.getManifestPath());
+    if (content === null || content.trim() === '') {
+      return new PackageManifest();
+    }
+    return PackageManifest.fromJSON(content);
+  }
+
+  /**
+   * Writes the given manifest to the board
+   * @param {PackageManifest} manifest The manifest to write
+   */
+  async writeManifest(manifest) {
+    const libPath = await this.getLibrariesPath();
+    await ensureDirectoryExists(this.board, libPath);
+    await writeFileContent(this.board, JSON.stringify(manifest), await this.getManifestPath());
+  }
+
+  /**
+   * Records the given package in the manifest on the board
+   * @param {ArchiveResult} archiveResult The result of the archive operation that created the installed package
+   */
+  async recordInstalledPackage(archiveResult) {
+    this.reporter.report({ phase: 'install', status: 'progress', package: archiveResult.packageName, message: `Recording package '${archiveResult.packageName}' in manifest...` });
+    const manifest = await this.readManifest();
+    manifest.addPackage({
+      name: archiveResult.packageName,
+      version: archiveResult.packageVersion,
+      url: archiveResult.sourceUrl,
+      mpyFormat: archiveResult.mpyFormat,
+      architecture: archiveResult.architecture,
+      files: archiveResult.fileHashes
+    });
+    await this.writeManifest(manifest);
+  }
+
   /**
    * Determines if the given package folder or file exists on the board.
    * Please note that the package name and the package folder name are not necessarily the same.
@@ -117,7 +250,10 @@ class PackageInstaller {
   }
 
   /**
-   * Uploads the given file to the board
+   * Uploads the given file to the board.
+   * If the upload is interrupted e.g. because the board disconnected, it's retried up to 'uploadRetries' times.
+   * Every retry reopens the connection if necessary and resumes at the last verified byte of the partial file.
+   * The sha256 hash of the whole file is verified at the end.
    * @param {string} sourceFilePath The local file path
    * @param {string} targetFilePath The file path on the board. 
    * Defaults to the file name taken from the source file path
@@ -130,32 +266,95 @@ class PackageInstaller {
     }
 
     const stats = fs.statSync(sourceFilePath);
-    console.debug(`ℹ️ Uploading (${(stats.size / 1024).toFixed(2)} KB)...`);
+    this.reporter.report({ phase: 'upload', status: 'start', file: targetFilePath, totalBytes: stats.size, message: `Uploading (${(stats.size / 1024).toFixed(2)} KB)...` });
 
     const start = Date.now();
-    await writeFile(this.board, sourceFilePath, targetFilePath, (output) => {
-      if (onProgress) {
-        onProgress(parseInt(output.replace('%', '')));
+    let offset = 0;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (attempt > 0) {
+          offset = await getResumeOffset(this.board, sourceFilePath, targetFilePath);
+          this.reporter.report({ phase: 'upload', status: 'info', file: targetFilePath, bytes: offset, totalBytes: stats.size, message: `Resuming upload at byte ${offset}` });
+        }
+        await this.whileConnected((signal) => writeFile(this.board, sourceFilePath, targetFilePath, (output) => {
+          const percent = parseInt(output.replace('%', ''));
+          this.reporter.report({
+            phase: 'upload', status: 'progress', file: targetFilePath, percent,
+            bytes: Math.round(stats.size * percent / 100), totalBytes: stats.size, message: `Progress: ${percent}%`
+          });
+          if (onProgress) {
+            onProgress(percent);
+          }
+        }, undefined, signal, offset));
+        break;
+      } catch (error) {
+        this.signal?.throwIfAborted();
+        if (attempt >= this.uploadRetries) {
+          throw error;
+        }
+        this.reporter.report({ phase: 'upload', status: 'warning', file: targetFilePath, message: `Upload interrupted: ${error.message}. Retrying (${attempt + 1}/${this.uploadRetries})...` });
+        await this.restoreConnection();
       }
-    });
-    const end = Date.now();
-    console.debug(`🕒 Upload completed in ${(end - start) / 1000} s`);
+    }
+    const duration = Date.now() - start;
+    this.reporter.report({ phase: 'upload', status: 'end', file: targetFilePath, bytes: stats.size, totalBytes: stats.size, duration, message: `Upload completed in ${duration / 1000} s` });
 
-    console.debug('🔍 Verifying hash...');
+    this.reporter.report({ phase: 'verify', status: 'start', file: targetFilePath, message: 'Verifying hash...' });
     if (!await this.verifyHash(sourceFilePath, targetFilePath)) {
       throw new Error('❌ Hash mismatch');
     }
+    this.reporter.report({ phase: 'verify', status: 'end', file: targetFilePath, message: 'Hash verified' });
+  }
+
+  /**
+   * Runs the given operation on the board and aborts it as soon as the serial port closes.
+   * Without it, an operation would wait forever for a response of a board that disconnected.
+   * The operation has to reject right away when its signal aborts on a closed port, see writeFile().
+   * It's torn down before this function rejects, so it can't interfere with a retry on the reopened port.
+   * @param {function(AbortSignal): Promise} operation Starts the operation with a signal that aborts
+   * when the connection is lost or the installation is cancelled
+   * @returns {Promise} The result of the operation
+   */
+  async whileConnected(operation) {
+    const serial = this.board.serial;
+    const connection = new AbortController();
+    const onClose = () => connection.abort(new Error('The connection to the board was lost'));
+    serial?.once('close', onClose);
+    const signal = this.signal ? AbortSignal.any([this.signal, connection.signal]) : connection.signal;
+    try {
+      return await operation(signal);
+    } finally {
+      serial?.removeListener('close', onClose);
+    }
+  }
+
+  /**
+   * Waits for 'retryDelay' milliseconds and reopens the connection to the board if it was lost
+   * @throws {Error} If the connection was lost and no 'reconnect' function was provided
+   */
+  async restoreConnection() {
+    await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+    if (this.board.serial?.isOpen) {
+      return;
+    }
+    if (!this.reconnect) {
+      throw new Error('The connection to the board was lost and cannot be reopened');
+    }
+    this.reporter.report({ phase: 'upload', status: 'info', message: 'Reopening the connection to the board...' });
+    await this.reconnect();
   }
 
   /**
    * Extracts the given archive tar file on the board
    * @param {string} archiveFilePath The tar file path on the board
+   * @param {string} targetDirectory The existing directory on the board to extract to.
+   * Defaults to the library folder.
    */
-  async extractArchiveOnBoard(archiveFilePath) {
+  async extractArchiveOnBoard(archiveFilePath, targetDirectory = null) {
     const extractScriptFilePath = path.join(__dirname, "python", 'extract_archive.py');
     const tarfileLibFilePath = path.join(__dirname, "python", 'tarfile.py');
 
-    console.debug('📦 Extracting archive...')
+    this.reporter.report({ phase: 'extract', status: 'start', file: archiveFilePath, message: 'Extracting archive...' });
     let output;
     await getPromptWithTimeout(this.board);
     await this.board.enter_raw_repl();
@@ -178,9 +377,17 @@ class PackageInstaller {
     const libPath = await this.getLibrariesPath();
     await ensureDirectoryExists(this.board, libPath);
     await this.board.enter_raw_repl();
-    const command = `untar('${archiveFilePath}', '${libPath}')`;
-    output = extractREPLMessage(await this.board.exec_raw(command))
+    const command = `untar('${archiveFilePath}', '${targetDirectory ?? libPath}')`;
+    // Interrupt the extraction with Ctrl-C. The board then prints a KeyboardInterrupt which ends the command.
+    const interrupt = () => this.board.serial.write('\x03');
+    this.signal?.addEventListener('abort', interrupt, { once: true });
+    try {
+      output = extractREPLMessage(await this.board.exec_raw(command, this.createExtractionConsumer()))
+    } finally {
+      this.signal?.removeEventListener('abort', interrupt);
+    }
     await this.board.exit_raw_repl()
+    this.signal?.throwIfAborted();
 
     if (output.includes('[Errno 17] EEXIST')) {
       // Find out which folders already exist from the output e.g. 'Creating directory lib/arduino_iot_cloud\r\n'
@@ -195,6 +402,28 @@ class PackageInstaller {
     if (!output.includes('Extraction complete')) {
       throw new Error('Failed to extract archive: ' + output);
     }
+    this.reporter.report({ phase: 'extract', status: 'end', file: archiveFilePath, message: 'Extraction complete' });
+  }
+
+  /**
+   * Creates a consumer for the output of extract_archive.py that reports an 'extract' event
+   * for every directory and file as soon as the board prints it
+   * @returns {function} The consumer that takes the chunks of the output as they are received
+   */
+  createExtractionConsumer() {
+    let pendingOutput = '';
+    return (data) => {
+      const lines = (pendingOutput + data.toString()).split('\r\n');
+      // The last line may be incomplete
+      pendingOutput = lines.pop();
+      for (const line of lines) {
+        const match = line.match(/(Creating directory|Extracting file) (\S*)$/);
+        if (match) {
+          const type = match[1] === 'Creating directory' ? 'directory' : 'file';
+          this.reporter.report({ phase: 'extract', status: 'progress', entry: match[2], type, message: `${match[1]} ${match[2]}` });
+        }
+      }
+    };
   }
 
   /**
@@ -219,9 +448,205 @@ class PackageInstaller {
     return [...new Set(folders)];
   }
 
+  /**
+   * Reads the free resources of the board
+   * @param {string} directory A directory on the file system to check e.g. the library folder
+   * @returns {Promise<Object>} An object with the properties 'blockSize' (the block size of the file system),
+   * 'freeStorage' (the free flash storage in bytes) and 'freeMemory' (the free RAM in bytes)
+   */
+  async getBoardResources(directory) {
+    await getPromptWithTimeout(this.board);
+    let output = extractREPLMessage(await this.board.execfile(path.join(__dirname, "python", 'board_resources.py')));
+    if (output !== '') {
+      throw new Error('Failed to load board_resources.py. Output: ' + output);
+    }
+    await this.board.enter_raw_repl();
+    output = extractREPLMessage(await this.board.exec_raw(`print_resources('${directory}')`));
+    await this.board.exit_raw_repl();
+
+    const [blockSize, freeStorage, freeMemory] = output.split(' ').map(Number);
+    if (output.includes('Traceback') || [blockSize, freeStorage, freeMemory].some(Number.isNaN)) {
+      throw new Error('Failed to read the free resources of the board: ' + output);
+    }
+    return { blockSize, freeStorage, freeMemory };
+  }
+
+  /**
+   * Determines the resources the board needs to install the given archive.
+   * The archive and the extracted files are on the file system at the same time.
+   * Every file and directory occupies whole blocks. As extract_archive.py decompresses the archive
+   * while reading it, the RAM it needs doesn't depend on the size of the archive.
+   * When the files are uploaded one by one, the archive isn't needed on the board and
+   * writeFile() adapts its chunk size to the available RAM.
+   * @param {string} packageTarFilePath The local tar.gz file path
+   * @param {number} blockSize The block size of the file system on the board
+   * @param {string} strategy The install strategy, 'archive' or 'files'
+   * @param {Array<string>} files The files of the archive that are uploaded if not all of them are
+   * e.g. the changed files of an incremental installation. Only applies to the 'files' strategy.
+   * @returns {Promise<Object>} An object with the properties 'storage' and 'memory' in bytes
+   */
+  async getRequiredResources(packageTarFilePath, blockSize, strategy = 'archive', files = null) {
+    const sizes = await getArchiveSizes(packageTarFilePath);
+    const toBlocks = (size) => Math.max(1, Math.ceil(size / blockSize)) * blockSize;
+    if (strategy === 'files' && files) {
+      // The staged files need their directories in the staging directory
+      const stagedSize = files.reduce((total, file) => total + toBlocks(sizes.files[file] ?? 0), 0) + this.getDirectoriesOfFiles(files).length * blockSize;
+      return { storage: stagedSize, memory: 0 };
+    }
+    const extractedSize = sizes.fileSizes.reduce((total, size) => total + toBlocks(size), 0) + sizes.directoryCount * blockSize;
+    if (strategy === 'files') {
+      return { storage: extractedSize, memory: 0 };
+    }
+    return {
+      storage: toBlocks(sizes.compressedSize) + extractedSize,
+      memory: EXTRACTION_MEMORY
+    };
+  }
+
+  /**
+   * Checks that the board has enough free flash storage and RAM to install the given archive.
+   * It runs before anything is uploaded or replaced on the board.
+   * @param {string} packageTarFilePath The local tar.gz file path
+   * @param {string} strategy The install strategy, 'archive' or 'files'
+   * @param {Array<string>} files The files of the archive that are uploaded if not all of them are.
+   * See getRequiredResources().
+   * @throws {Error} If the board lacks storage or RAM. The message states how much is missing.
+   */
+  async checkResources(packageTarFilePath, strategy = 'archive', files = null) {
+    const libPath = await this.getLibrariesPath();
+    await ensureDirectoryExists(this.board, libPath);
+    const available = await this.getBoardResources(libPath);
+    const required = await this.getRequiredResources(packageTarFilePath, available.blockSize, strategy, files);
+    const toKB = (bytes) => `${(bytes / 1024).toFixed(2)} KB`;
+
+    const shortages = [];
+    if (required.storage > available.freeStorage) {
+      shortages.push(`flash storage: ${toKB(required.storage)} needed, ${toKB(available.freeStorage)} available (${toKB(required.storage - available.freeStorage)} missing)`);
+    }
+    if (required.memory > available.freeMemory) {
+      shortages.push(`RAM: ${toKB(required.memory)} needed, ${toKB(available.freeMemory)} available (${toKB(required.memory - available.freeMemory)} missing)`);
+    }
+    if (shortages.length > 0) {
+      throw new Error(`Not enough resources on the board. ${shortages.join('; ')}`);
+    }
+    this.reporter.report({ phase: 'install', status: 'info', required, available, message: `Resources checked: ${toKB(required.storage)} of ${toKB(available.freeStorage)} flash storage and ${toKB(required.memory)} of ${toKB(available.freeMemory)} RAM needed` });
+  }
+
+  /**
+   * Runs a step of an atomic installation on the board. See install_transaction.py.
+   * @param {string} command The function call to execute
+   * @param {string} expectedOutput The output that indicates that the step succeeded
+   * @throws {Error} If the step failed
+   */
+  async runTransactionStep(command, expectedOutput) {
+    await getPromptWithTimeout(this.board);
+    let output = extractREPLMessage(await this.board.execfile(path.join(__dirname, "python", 'install_transaction.py')));
+    if (output !== '') {
+      throw new Error('Failed to load install_transaction.py. Output: ' + output);
+    }
+    await this.board.enter_raw_repl();
+    output = extractREPLMessage(await this.board.exec_raw(command));
+    await this.board.exit_raw_repl();
+
+    if (!output.includes(expectedOutput)) {
+      throw new Error(output.match(/\w*Error: .*/)?.[0] || output);
+    }
+  }
+
+  /**
+   * Installs the package folders and files in the library folder as one transaction.
+   * They are put into a staging directory first. Only if that succeeds, the existing
+   * package folders and files are moved to a backup directory and the staged ones are moved into place.
+   * If any step fails, the previous state of the library folder and the manifest is restored.
+   * @param {Array<string>} entries The package folders and files in the root of the library folder
+   * that the package contains
+   * @param {ArchiveResult} archiveResult The result of the archive operation. If provided,
+   * the package is recorded in the manifest as part of the transaction.
+   * @param {function(string): Promise} stage The async function that puts the package into the
+   * staging directory whose path it receives e.g. by extracting the uploaded archive
+   */
+  async installAtomically(entries, archiveResult, stage) {
+    const libPath = await this.getLibrariesPath();
+    await ensureDirectoryExists(this.board, libPath);
+    const stagingPath = path.posix.join(libPath, STAGING_DIRECTORY_NAME);
+    const backupPath = path.posix.join(libPath, BACKUP_DIRECTORY_NAME);
+
+    await this.runTransactionStep(`prepare_staging('${libPath}', '${stagingPath}', '${backupPath}')`, 'Staging prepared');
+    try {
+      await stage(stagingPath);
+    } catch (error) {
+      this.reporter.report({ phase: 'cleanup', status: 'start', folder: stagingPath, message: 'Removing staged files...' });
+      try {
+        await this.runTransactionStep(`clean_up('${stagingPath}', '${backupPath}')`, 'Clean up complete');
+      } catch (cleanupError) {
+        this.reporter.report({ phase: 'cleanup', status: 'warning', folder: stagingPath, message: `Couldn't remove staged files: ${cleanupError.message}` });
+      }
+      throw error;
+    }
+
+    this.reporter.report({ phase: 'install', status: 'progress', files: entries, message: 'Moving package into place...' });
+    // swap_in() restores the replaced entries itself if moving any entry fails
+    await this.runTransactionStep(`swap_in('${libPath}', '${stagingPath}', '${backupPath}', ${JSON.stringify(entries)})`, 'Swap complete');
+
+    if (archiveResult) {
+      const manifestPath = await this.getManifestPath();
+      const previousManifest = await readFileContent(this.board, manifestPath);
+      try {
+        await this.recordInstalledPackage(archiveResult);
+      } catch (error) {
+        this.reporter.report({ phase: 'install', status: 'warning', message: `Rolling back installation: ${error.message}` });
+        try {
+          await this.runTransactionStep(`roll_back('${libPath}', '${backupPath}', ${JSON.stringify(entries)})`, 'Rollback complete');
+          if (previousManifest === null) {
+            await this.board.fs_rm(manifestPath);
+          } else {
+            await writeFileContent(this.board, previousManifest, manifestPath);
+          }
+        } catch (rollbackError) {
+          throw new Error(`${error.message}. Rollback failed: ${rollbackError.message}. ` +
+            `The previous files are kept in ${backupPath} and restored by the next installation.`);
+        }
+        throw error;
+      }
+    }
+    await this.runTransactionStep(`clean_up('${stagingPath}', '${backupPath}')`, 'Clean up complete');
+  }
+
+  /**
+   * Determines the install strategy. Unless a strategy was forced through the options,
+   * 'archive' is used if the board can decompress and extract archives and 'files' otherwise.
+   * Extracting requires the deflate module and the uctypes module used by tarfile.
+   * @returns {Promise<string>} The strategy, 'archive' or 'files'
+   */
+  async getInstallStrategy() {
+    if (this.strategy !== 'auto') {
+      return this.strategy;
+    }
+    let command =  `try:\n`;
+        command += `    import deflate, uctypes\n`;
+        command += `    print(1)\n`;
+        command += `except ImportError:\n`;
+        command += `    print(0)\n`;
+    await getPromptWithTimeout(this.board);
+    await this.board.enter_raw_repl();
+    const output = extractREPLMessage(await this.board.exec_raw(command));
+    await this.board.exit_raw_repl();
+
+    const strategy = output === '1' ? 'archive' : 'files';
+    if (strategy === 'files') {
+      this.reporter.report({ phase: 'install', status: 'info', strategy, message: 'The board cannot extract archives. Uploading the files one by one.' });
+    }
+    return strategy;
+  }
+
   /**
    * Installs a package on the board by uploading the package tar file, extracting it and cleaning up
    * the tar file that was uploaded and is no longer needed.
+   * Boards that cannot extract archives get every file uploaded and verified on its own instead.
+   * See getInstallStrategy(). Both ways install the files listed in 'packageFiles'.
+   * The installation is atomic: Existing package folders are only replaced once the package was uploaded,
+   * verified and extracted successfully. If any step fails, the previous version stays installed.
+   * Before anything is uploaded, checkResources() makes sure that the board has enough flash storage and RAM.
    * @param {string} packageTarFilePath The source package tar file path
    * @param {Array} packageFiles The package file paths that are expected to be extracted to the package folder.
    * This is used to check if files would be overwritten when installing the package.
@@ -230,14 +655,36 @@ class PackageInstaller {
    * are not checked for existence.
    * @param {function} onProgress An optional callback function to track the upload progress.
    * The callback takes an integer argument representing the percentage of the upload progress.
+   * @param {ArchiveResult} archiveResult The result of the archive operation that created the tar file.
+   * If provided, the package and the hashes of its files are recorded in the manifest on the board.
+   * It's also required for incremental installations.
+   * @returns {Promise<Object>} An object with the properties 'mode' ('archive', 'files', 'incremental' or 'skipped')
+   * and 'uploadedFiles' containing the paths of the files that were installed.
    */
-  async installPackage(packageTarFilePath, packageFiles, overwriteExisting = true, onProgress = null) {
+  async installPackage(packageTarFilePath, packageFiles, overwriteExisting = true, onProgress = null, archiveResult = null) {
+    if (this.incremental && archiveResult && overwriteExisting) {
+      let changes;
+      try {
+        changes = await this.getPackageChanges(archiveResult);
+      } catch (error) {
+        throw new Error(`Couldn't install package: ${error.message}`);
+      }
+
+      // Only worth it if at least parts of the package are already on the board
+      if (changes.unchangedFiles.length > 0) {
+        return this.installChangedFiles(packageTarFilePath, archiveResult, changes);
+      }
+    }
+
     let targetFilePath = path.basename(packageTarFilePath);
+    let uploadStarted = false;
+    let strategy;
     const packageFolders = this.getPackageFolders(packageFiles);
     // Files in the library root are treated as single file packages
     const filesInLibRoot = packageFiles.filter(file => file.split('/').length === 1);
 
     try {
+      this.signal?.throwIfAborted();
       // There is no need to handle the case of deleting existing single files 
       // as they are overwritten without raising an error
       if(!overwriteExisting) {
@@ -251,22 +698,260 @@ class PackageInstaller {
       for(const packageFolder of packageFolders) {
         if(await this.packageExists(packageFolder)) {
           if(overwriteExisting) {
-            console.debug(`🗑 Deleting existing package folder: ${packageFolder}`);
-            await this.deletePackageFolder(packageFolder);
+            this.reporter.report({ phase: 'install', status: 'progress', folder: packageFolder, message: `Replacing existing package folder: ${packageFolder}` });
           } else {
             throw new Error(`Installation would overwrite existing package folder: ${packageFolder}`);
           }
         }
       }
       
-      console.debug('📤 Uploading file to board');
-      await this.uploadArchive(packageTarFilePath, targetFilePath, onProgress);
-      await this.extractArchiveOnBoard(targetFilePath);
+      strategy = await this.getInstallStrategy();
+      await this.checkResources(packageTarFilePath, strategy);
+      const entries = [...packageFolders, ...filesInLibRoot];
+
+      if (strategy === 'files') {
+        await this.installFiles(packageTarFilePath, packageFiles, entries, archiveResult);
+      } else {
+        uploadStarted = true;
+        await this.uploadArchive(packageTarFilePath, targetFilePath, onProgress);
+        this.signal?.throwIfAborted();
+        await this.installAtomically(entries, archiveResult, (stagingPath) => this.extractArchiveOnBoard(targetFilePath, stagingPath));
+      }
+    } catch (error) {
+      this.signal?.throwIfAborted();
+      throw new Error(`Couldn't install package: ${error.message}`);
+    } finally {
+      if (uploadStarted) {
+        // A failing clean up, e.g. after the board disconnected, mustn't hide the outcome of the installation
+        try {
+          await this.cleanUp(targetFilePath);
+        } catch (cleanupError) {
+          this.reporter.report({ phase: 'cleanup', status: 'warning', file: targetFilePath, message: `Couldn't remove ${targetFilePath}: ${cleanupError.message}` });
+        }
+      }
+    }
+    return { mode: strategy, uploadedFiles: packageFiles };
+  }
+
+  /**
+   * Installs a package without extracting an archive on the board.
+   * The archive is extracted locally and every file is uploaded and verified on its own.
+   * @param {string} packageTarFilePath The source package tar file path
+   * @param {Array<string>} packageFiles The file paths of the package relative to the library folder
+   * @param {Array<string>} entries The package folders and files in the root of the library folder
+   * @param {ArchiveResult} archiveResult The result of the archive operation or null
+   */
+  async installFiles(packageTarFilePath, packageFiles, entries, archiveResult = null) {
+    const localDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mpy-package-files-'));
+    try {
+      await tar.x({ file: packageTarFilePath, cwd: localDirectory });
+      this.reporter.report({ phase: 'upload', status: 'info', files: packageFiles, message: `Uploading ${packageFiles.length} file(s) to board` });
+      await this.installAtomically(entries, archiveResult, (stagingPath) => this.uploadFiles(localDirectory, packageFiles, stagingPath));
+    } finally {
+      fs.rmSync(localDirectory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Compares the files of the given package with the files installed on the board
+   * @param {ArchiveResult} archiveResult The result of the archive operation that created the package
+   * @returns {Promise<Object>} An object with the properties 'changedFiles' (new or modified files),
+   * 'unchangedFiles' and 'obsoleteFiles' (files of a previously installed version of the package
+   * that are no longer part of it and not needed by any other package).
+   * All paths are relative to the library folder.
+   */
+  async getPackageChanges(archiveResult) {
+    const libPath = await this.getLibrariesPath();
+    const files = Object.keys(archiveResult.fileHashes);
+    const remoteHashes = await this.getRemoteFileHashes(files.map(file => path.posix.join(libPath, file)));
+    const changedFiles = files.filter(file => remoteHashes[path.posix.join(libPath, file)] !== archiveResult.fileHashes[file]);
+    const unchangedFiles = files.filter(file => !changedFiles.includes(file));
+
+    let obsoleteFiles = [];
+    const manifest = await this.readManifest();
+    if (manifest.getPackage(archiveResult.packageName)) {
+      obsoleteFiles = this.getRemovableFiles(manifest, archiveResult.packageName)
+        .filter(file => !files.includes(file));
+    }
+    return { changedFiles, unchangedFiles, obsoleteFiles };
+  }
+
+  /**
+   * Installs a package by only uploading the files that differ from the ones on the board.
+   * Files of a previously installed version that are no longer part of the package are removed.
+   * The installation is skipped if all files are up to date.
+   * Like a full installation it's atomic and preceded by checkResources(): The changed files are uploaded
+   * to the staging directory and swapped in together with the removal of the obsolete files.
+   * The files are always uploaded one by one, so the install strategy doesn't apply.
+   * @param {string} packageTarFilePath The source package tar file path
+   * @param {ArchiveResult} archiveResult The result of the archive operation that created the package
+   * @param {Object} changes The changes as determined by getPackageChanges()
+   * @returns {Promise<Object>} An object with the properties 'mode' ('incremental' or 'skipped')
+   * and 'uploadedFiles'.
+   */
+  async installChangedFiles(packageTarFilePath, archiveResult, changes) {
+    const { changedFiles, obsoleteFiles } = changes;
+
+    if (changedFiles.length === 0 && obsoleteFiles.length === 0) {
+      this.reporter.report({ phase: 'install', status: 'skip', package: archiveResult.packageName, message: `Package '${archiveResult.packageName}' is already up to date. Skipping installation.` });
+      try {
+        await this.recordInstalledPackage(archiveResult);
+      } catch (error) {
+        throw new Error(`Couldn't install package: ${error.message}`);
+      }
+      return { mode: 'skipped', uploadedFiles: [] };
+    }
+
+    const localDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mpy-package-files-'));
+    try {
+      await tar.x({ file: packageTarFilePath, cwd: localDirectory });
+      await this.checkResources(packageTarFilePath, 'files', changedFiles);
+      this.reporter.report({ phase: 'upload', status: 'info', files: changedFiles, message: `Uploading ${changedFiles.length} changed file(s) to board` });
+      if (obsoleteFiles.length > 0) {
+        this.reporter.report({ phase: 'install', status: 'progress', files: obsoleteFiles, message: `Removing ${obsoleteFiles.length} obsolete file(s)` });
+      }
+      // Obsolete files aren't staged, so swapping them in moves them to the backup directory
+      await this.installAtomically([...changedFiles, ...obsoleteFiles], archiveResult, (stagingPath) => this.uploadFiles(localDirectory, changedFiles, stagingPath));
+
+      if (obsoleteFiles.length > 0) {
+        try {
+          await this.removeFiles([], this.getDirectoriesOfFiles(obsoleteFiles));
+        } catch (error) {
+          this.reporter.report({ phase: 'install', status: 'warning', files: obsoleteFiles, message: `Couldn't remove empty directories: ${error.message}` });
+        }
+      }
     } catch (error) {
+      this.signal?.throwIfAborted();
       throw new Error(`Couldn't install package: ${error.message}`);
     } finally {
-      await this.cleanUp(targetFilePath);
+      fs.rmSync(localDirectory, { recursive: true, force: true });
+    }
+    return { mode: 'incremental', uploadedFiles: changedFiles };
+  }
+
+  /**
+   * Uploads the given files from a local directory to the library folder on the board
+   * and verifies the hash of each uploaded file. Missing directories are created.
+   * @param {string} localDirectory The local directory containing the files
+   * @param {Array<string>} files The file paths relative to the local directory
+   * which are also used as paths relative to the target directory on the board.
+   * @param {string} targetDirectory The directory on the board to upload to. Defaults to the library folder.
+   */
+  async uploadFiles(localDirectory, files, targetDirectory = null) {
+    const libPath = targetDirectory ?? await this.getLibrariesPath();
+    await ensureDirectoryExists(this.board, libPath);
+
+    // Parent directories need to be created before their subdirectories
+    for (const directory of this.getDirectoriesOfFiles(files).reverse()) {
+      await ensureDirectoryExists(this.board, path.posix.join(libPath, directory));
+    }
+
+    for (const file of files) {
+      const sourceFilePath = path.join(localDirectory, file);
+      const targetFilePath = path.posix.join(libPath, file);
+      const totalBytes = fs.statSync(sourceFilePath).size;
+      this.signal?.throwIfAborted();
+      this.reporter.report({ phase: 'upload', status: 'start', file, totalBytes, message: `Uploading ${file}...` });
+      try {
+        await writeFile(this.board, sourceFilePath, targetFilePath, null, undefined, this.signal);
+      } catch (error) {
+        if (this.signal?.aborted) {
+          // Don't leave a truncated file behind
+          await this.board.fs_rm(targetFilePath);
+        }
+        throw error;
+      }
+      this.reporter.report({ phase: 'upload', status: 'end', file, bytes: totalBytes, totalBytes, message: `Uploaded ${file}` });
+
+      if (!await this.verifyHash(sourceFilePath, targetFilePath)) {
+        throw new Error(`❌ Hash mismatch: ${file}`);
+      }
+      this.reporter.report({ phase: 'verify', status: 'end', file, message: `Hash verified: ${file}` });
+    }
+  }
+
+  /**
+   * Removes the given files from the library folder on the board.
+   * Directories that become empty are removed as well.
+   * @param {Array<string>} files The file paths relative to the library folder
+   * @param {Array<string>} directories The directories to remove if they are empty, relative to the library folder.
+   * Defaults to the directories of the files.
+   */
+  async removeFiles(files, directories = this.getDirectoriesOfFiles(files)) {
+    const libPath = await this.getLibrariesPath();
+    const toBoardPaths = (entries) => JSON.stringify(entries.map(entry => path.posix.join(libPath, entry)));
+
+    await getPromptWithTimeout(this.board);
+    let output = extractREPLMessage(await this.board.execfile(path.join(__dirname, "python", 'remove_files.py')));
+    if (output !== '') {
+      throw new Error('Failed to load remove_files.py. Output: ' + output);
+    }
+    await this.board.enter_raw_repl();
+    output = extractREPLMessage(await this.board.exec_raw(`remove_files(${toBoardPaths(files)})`));
+    output += extractREPLMessage(await this.board.exec_raw(`remove_empty_directories(${toBoardPaths(directories)})`));
+    await this.board.exit_raw_repl();
+
+    if (output.includes('Traceback')) {
+      throw new Error(`Failed to remove files: ${output}`);
+    }
+  }
+
+  /**
+   * Determines the files of the given package that can be removed from the board.
+   * Files that are also listed by another installed package, e.g. because both packages
+   * depend on the same library, are not included.
+   * @param {PackageManifest} manifest The manifest of the installed packages
+   * @param {string} packageName The name of the package to remove
+   * @returns {Array<string>} The file paths relative to the library folder
+   */
+  getRemovableFiles(manifest, packageName) {
+    const packageEntry = manifest.getPackage(packageName);
+    const filesInUse = new Set(manifest.getPackages()
+      .filter(entry => entry.name !== packageName)
+      .flatMap(entry => Object.keys(entry.files)));
+    return Object.keys(packageEntry.files).filter(file => !filesInUse.has(file));
+  }
+
+  /**
+   * Determines the directories that contain the given files including their parent directories.
+   * @param {Array<string>} files The file paths relative to the library folder
+   * @returns {Array<string>} The directory paths relative to the library folder,
+   * sorted so that subdirectories come before their parent directories.
+   */
+  getDirectoriesOfFiles(files) {
+    const directories = new Set();
+    for (const file of files) {
+      let directory = path.posix.dirname(file);
+      while (directory !== '.') {
+        directories.add(directory);
+        directory = path.posix.dirname(directory);
+      }
     }
+    return [...directories].sort((a, b) => b.split('/').length - a.split('/').length);
+  }
+
+  /**
+   * Removes an installed package from the board.
+   * Only the files that were installed by the package (including the files of its dependencies)
+   * are removed. Files that are still needed by another installed package are kept.
+   * Directories are removed once they are empty.
+   * @param {string} packageName The name of the package as recorded in the manifest
+   * @returns {Promise<Array<string>>} The removed file paths relative to the library folder
+   * @throws {Error} If the package is not installed or the files cannot be removed
+   */
+  async uninstallPackage(packageName) {
+    const manifest = await this.readManifest();
+    if (!manifest.getPackage(packageName)) {
+      throw new Error(`Package '${packageName}' is not installed or was installed without a manifest entry`);
+    }
+
+    const filesToRemove = this.getRemovableFiles(manifest, packageName);
+    this.reporter.report({ phase: 'uninstall', status: 'start', package: packageName, message: `Removing package '${packageName}'...` });
+    await this.removeFiles(filesToRemove);
+
+    manifest.removePackage(packageName);
+    await this.writeManifest(manifest);
+    return filesToRemove;
   }
 
   /**
@@ -275,7 +960,7 @@ class PackageInstaller {
    * @param {string} remoteFile The file path on the board to remove
    */
   async cleanUp(remoteFile) {
-    console.debug(`🧹 Cleaning up archive file '${remoteFile}' on board...`);
+    this.reporter.report({ phase: 'cleanup', status: 'start', file: remoteFile, message: `Cleaning up archive file '${remoteFile}' on board...` });
     await this.board.fs_rm(remoteFile);
   }
 }
@@ -0,0 +1,111 @@
+/**
+ * The name of the manifest file that is stored in the library folder on the board
+ */
+const MANIFEST_FILE_NAME = '.upy-packager.json';
+
+/**
+ * The version of the manifest file format.
+ * It's stored in the manifest so that future versions can migrate older manifests.
+ */
+const MANIFEST_FORMAT_VERSION = 1;
+
+/**
+ * Class representing the manifest of packages installed on a board.
+ * The manifest is stored as JSON in the library folder of the board and keeps track
+ * of which package installed which files.
+ */
+class PackageManifest {
+
+  /**
+   * Creates a new PackageManifest object
+   * @param {Object} data The parsed content of an existing manifest file.
+   * If omitted, an empty manifest is created.
+   */
+  constructor(data = null) {
+    this.formatVersion = data?.formatVersion || MANIFEST_FORMAT_VERSION;
+    this.packages = data?.packages || {};
+  }
+
+  /**
+   * Creates a manifest from the content of a manifest file
+   * @param {string} json The JSON content of the manifest file
+   * @returns {PackageManifest} The manifest object
+   * @throws {Error} If the content is not a valid manifest
+   */
+  static fromJSON(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid package manifest: ${error.message}`);
+    }
+    if (typeof data !== 'object' || data === null || typeof data.packages !== 'object') {
+      throw new Error('Invalid package manifest: missing packages');
+    }
+    return new PackageManifest(data);
+  }
+
+  /**
+   * Adds a package to the manifest. An existing entry with the same name is replaced.
+   * @param {Object} entry The package entry
+   * @param {string} entry.name The name of the package
+   * @param {string} entry.version The version of the package
+   * @param {string} entry.url The URL the package was installed from
+   * @param {number} entry.mpyFormat The mpy file format the files were compiled for or null if they weren't compiled
+   * @param {string} entry.architecture The architecture the files were compiled for or null
+   * @param {Object<string, string>} entry.files The sha256 hash of every installed file keyed by the
+   * file path relative to the library folder e.g. { 'modulino/__init__.mpy': 'ab12...' }
+   */
+  addPackage(entry) {
+    this.packages[entry.name] = {
+      name: entry.name,
+      version: entry.version ?? null,
+      url: entry.url ?? null,
+      mpyFormat: entry.mpyFormat ?? null,
+      architecture: entry.architecture ?? null,
+      files: entry.files || {},
+      installedAt: entry.installedAt || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Removes the package with the given name from the manifest
+   * @param {string} name The name of the package
+   * @returns {boolean} True if the package was part of the manifest, false otherwise
+   */
+  removePackage(name) {
+    if (!this.packages[name]) return false;
+    delete this.packages[name];
+    return true;
+  }
+
+  /**
+   * Retrieves the manifest entry of the package with the given name
+   * @param {string} name The name of the package
+   * @returns {Object} The manifest entry or null if the package is not in the manifest
+   */
+  getPackage(name) {
+    return this.packages[name] || null;
+  }
+
+  /**
+   * Retrieves all manifest entries
+   * @returns {Array<Object>} The manifest entries of all installed packages
+   */
+  getPackages() {
+    return Object.values(this.packages);
+  }
+
+  /**
+   * Serializes the manifest so that it can be written to the board
+   * @returns {Object} The manifest data
+   */
+  toJSON() {
+    return {
+      formatVersion: this.formatVersion,
+      packages: this.packages
+    };
+  }
+}
+
+export { PackageManifest, MANIFEST_FILE_NAME };
@@ -0,0 +1,437 @@
+import { parseArgs } from 'util';
+import { Console } from 'console';
+import path from 'path';
+import fs from 'fs-extra';
+import MicroPythonBoard from 'micropython.js';
+import { Packager } from './packager.js';
+import { CompilationError } from './mpy-cross-compiler.js';
+import { ConsoleReporter, SilentReporter } from './progress-reporter.js';
+import { PackageInstaller } from './package-installer.js';
+import { PackagerWebServer } from './packager-web-server.js';
+import { SerialDeviceFinder } from './serial-device-finder.js';
+import { getArchitectureFromBoard, getMPyFileFormatFromBoard, getMicroPythonVersionFromBoard } from './board-helpers.js';
+import { createTransport } from './board-transport.js';
+
+const USAGE = `Usage: upy-packager <command> [options]
+
+Commands:
+  package <url>       Create a .tar.gz package of a repository or official package
+      --version <v>     The version to package. Defaults to HEAD / latest
+      --arch <arch>     The architecture to compile for e.g. xtensawin
+      --format <n>      The mpy file format to compile for e.g. 6
+      --port <port>     Determine architecture and format from the board on this serial port
+      --out <dir>       The directory to save the package to. Defaults to the current directory
+  install <url>       Package a repository and install it on a board
+      --port <port>     The serial port of the board (required)
+      --version <v>     The version to install. Defaults to HEAD / latest
+      --no-compile      Install the files without compiling them
+      --no-overwrite    Fail instead of replacing existing package folders
+      --incremental     Only upload the files that changed
+      --retries <n>     How often to retry an interrupted upload. Defaults to 3
+      --strategy <s>    archive: extract an archive on the board, files: upload file by file.
+                        Defaults to auto which picks based on the board
+  uninstall <name>    Remove an installed package from a board
+      --port <port>     The serial port of the board (required)
+  list-devices        List the connected serial devices
+  board-info          Show information about a board and its installed packages
+      --port <port>     The serial port of the board (required)
+  serve               Start the packager web server
+      --port <port>     The port to listen on. Defaults to 3000
+      --allow-repo <r>  Send access tokens for this repository e.g. github:owner/repo or github:owner/*.
+                        Can be repeated. Without it, no tokens are sent
+
+Options for package and install:
+  --custom-package-json <file>  Use this package.json file instead of the one of the repository
+  --lockfile <file>             Reproduce the package from a lockfile
+  --write-lockfile <file>       Create a lockfile for the package
+  --index <url|dir>             Download official packages from this index or local index mirror.
+                                Can be repeated to specify fallback indexes. Also applies to serve.
+  --mpy-cross <path>            Use this mpy-cross binary if it supports the board's mpy format.
+                                Can be repeated. Also applies to serve.
+  --optimize <n>                The mpy-cross optimisation level from 0 to 3
+  --emit <emitter>              The code emitter: bytecode, native or viper
+  --small-int-bits <n>          The bit width of small ints
+  --source-name <name>          The source name stored in compiled files.
+                                {path} and {name} are replaced with the file path and name.
+  --strict                      Fail if any file can't be compiled instead of packaging it as .py file
+  --no-cache                    Don't use the cache
+
+Board addresses:
+  The --port of install, uninstall, board-info and package can be a serial port,
+  tcp://host:port for a REPL on a TCP socket or ws://host[:port] for WebREPL.
+  --password <pw>               The WebREPL password. Defaults to $WEBREPL_PASSWORD
+
+Global options:
+  --json              Print the result as JSON. Progress messages are printed to stderr.
+  --quiet             Don't print progress messages
+  --help              Show this help`;
+
+const OPTIONS = {
+  'version': { type: 'string' },
+  'arch': { type: 'string' },
+  'format': { type: 'string' },
+  'port': { type: 'string' },
+  'out': { type: 'string' },
+  'custom-package-json': { type: 'string' },
+  'lockfile': { type: 'string' },
+  'write-lockfile': { type: 'string' },
+  'index': { type: 'string', multiple: true },
+  'mpy-cross': { type: 'string', multiple: true },
+  'allow-repo': { type: 'string', multiple: true },
+  'optimize': { type: 'string' },
+  'emit': { type: 'string' },
+  'small-int-bits': { type: 'string' },
+  'source-name': { type: 'string' },
+  'no-compile': { type: 'boolean' },
+  'no-overwrite': { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  'strict': { type: 'boolean' },
+  'incremental': { type: 'boolean' },
+  'retries': { type: 'string' },
+  'strategy': { type: 'string' },
+  'json': { type: 'boolean' },
+  'password': { type: 'string' },
+  'quiet': { type: 'boolean', short: 'q' },
+  'help': { type: 'boolean', short: 'h' }
+};
+
+/**
+ * The options that take a non-negative integer. The --port of serve is validated as well.
+ */
+const INTEGER_OPTIONS = ['format', 'optimize', 'small-int-bits', 'retries'];
+
+/**
+ * Class implementing the command line interface of the packager.
+ * Each command is implemented in its own method which returns the result
+ * that is either printed as human-readable text or as JSON.
+ */
+class PackagerCLI {
+
+  /**
+   * Creates a new PackagerCLI instance
+   * @param {Object} output The stream to print results to. Defaults to stdout.
+   */
+  constructor(output = process.stdout) {
+    this.output = output;
+    this.json = false;
+    this.reporter = new ConsoleReporter();
+    // Cancels a running package or install command when Ctrl-C is pressed
+    this.abortController = new AbortController();
+    this.abort = () => this.abortController.abort();
+  }
+
+  /**
+   * Runs the command line interface with the given arguments
+   * @param {Array<string>} args The command line arguments without the node executable and script path
+   * @returns {Promise<number>} The exit code
+   */
+  async run(args) {
+    let parsedArgs;
+    try {
+      parsedArgs = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      return 1;
+    }
+
+    const { values: options, positionals } = parsedArgs;
+    const [command, ...commandArgs] = positionals;
+    this.json = options.json ?? false;
+
+    if (options.help || !command) {
+      this.output.write(`${USAGE}\n`);
+      return options.help ? 0 : 1;
+    }
+
+    const integerOptions = command === 'serve' ? [...INTEGER_OPTIONS, 'port'] : INTEGER_OPTIONS;
+    const invalidOption = integerOptions.find(name => options[name] !== undefined && !/^\d+$/.test(options[name]));
+    if (invalidOption) {
+      console.error(`❌ Invalid value for --${invalidOption}: ${options[invalidOption]}. Expected a non-negative integer.\n\n${USAGE}`);
+      return 1;
+    }
+
+    if (options.quiet) {
+      this.reporter = new SilentReporter();
+    } else if (this.json) {
+      // Keep stdout clean for the JSON result
+      this.reporter = new ConsoleReporter(new Console(process.stderr));
+    }
+    const commands = {
+      'package': () => this.package(commandArgs[0], options),
+      'install': () => this.install(commandArgs[0], options),
+      'uninstall': () => this.uninstall(commandArgs[0], options),
+      'list-devices': () => this.listDevices(),
+      'board-info': () => this.boardInfo(options),
+      'serve': () => this.serve(options)
+    };
+
+    if (!commands[command]) {
+      console.error(`❌ Unknown command: ${command}\n\n${USAGE}`);
+      return 1;
+    }
+
+    // Output of other libraries must not end up in the JSON result either.
+    // console.log is restored once the command finished as the CLI may run inside a larger process.
+    const consoleLog = console.log;
+    if (this.json) {
+      console.log = (...messages) => console.error(...messages);
+    }
+    try {
+      const result = await commands[command]();
+      if (result) this.print(result);
+      return 0;
+    } catch (error) {
+      if (this.abortController.signal.aborted) {
+        console.error('❌ Cancelled');
+        return 130;
+      }
+      if (this.json) {
+        const details = error.diagnostics ? { diagnostics: error.diagnostics } : {};
+        this.output.write(`${JSON.stringify({ error: error.message, ...details }, null, 2)}\n`);
+      } else {
+        console.error(`❌ ${error.message}`);
+      }
+      return 1;
+    } finally {
+      console.log = consoleLog;
+      process.removeListener('SIGINT', this.abort);
+    }
+  }
+
+  /**
+   * Prints the result of a command
+   * @param {Object} result An object with the properties 'data' (printed in JSON mode)
+   * and 'text' (printed otherwise)
+   */
+  print(result) {
+    const output = this.json ? JSON.stringify(result.data, null, 2) : result.text;
+    this.output.write(`${output}\n`);
+  }
+
+  /**
+   * Ensures that a required argument was provided
+   * @param {string} value The value of the argument
+   * @param {string} name The name of the argument used in the error message
+   * @returns {string} The value
+   * @throws {Error} If the value is missing
+   */
+  requireArgument(value, name) {
+    if (!value) {
+      throw new Error(`Missing required argument: ${name}`);
+    }
+    return value;
+  }
+
+  /**
+   * Creates a Packager instance from the command line options
+   * @param {Object} options The parsed command line options
+   * @returns {Packager} The packager
+   */
+  createPackager(options) {
+    return new Packager(options.port, !options['no-compile'], !options['no-overwrite'], {
+      webreplPassword: options.password,
+      incremental: options.incremental ?? false,
+      cache: options['no-cache'] ? false : undefined,
+      indexes: options.index,
+      compilers: options['mpy-cross'],
+      compileOptions: {
+        optimizationLevel: options.optimize !== undefined ? Number(options.optimize) : undefined,
+        emit: options.emit,
+        smallIntBits: options['small-int-bits'] !== undefined ? Number(options['small-int-bits']) : undefined,
+        sourceName: options['source-name']
+      },
+      strictCompilation: options.strict ?? false,
+      uploadRetries: options.retries !== undefined ? Number(options.retries) : undefined,
+      installStrategy: options.strategy,
+      reporter: this.reporter
+    });
+  }
+
+  /**
+   * Reads the packaging options that are shared by the package and install commands.
+   * From then on Ctrl-C cancels the command and leaves the board in a usable state.
+   * @param {Object} options The parsed command line options
+   * @returns {Promise<Object>} An object with the properties 'customPackageJson' and 'packagingOptions'
+   */
+  async getPackagingOptions(options) {
+    const customPackageJson = options['custom-package-json'] ? await fs.readJson(options['custom-package-json']) : null;
+    process.once('SIGINT', this.abort);
+    const packagingOptions = {
+      lockfile: options.lockfile || null,
+      createLockfile: !!options['write-lockfile'],
+      signal: this.abortController.signal
+    };
+    return { customPackageJson, packagingOptions };
+  }
+
+  /**
+   * Writes the lockfile of the archive if that was requested
+   * @param {ArchiveResult} archiveResult The result of the archive operation
+   * @param {Object} options The parsed command line options
+   */
+  async writeLockfile(archiveResult, options) {
+    if (options['write-lockfile'] && archiveResult.lockfile) {
+      await archiveResult.lockfile.save(options['write-lockfile']);
+    }
+  }
+
+  /**
+   * Creates a package and moves it to the output directory
+   * @param {string} url The URL of the repository or the name of an official package
+   * @param {Object} options The parsed command line options
+   * @returns {Promise<Object>} The result to print
+   */
+  async package(url, options) {
+    this.requireArgument(url, '<url>');
+    const packager = this.createPackager(options);
+    const { customPackageJson, packagingOptions } = await this.getPackagingOptions(options);
+    let archiveResult;
+
+    if (options.port) {
+      archiveResult = await packager.package(url, options.version, customPackageJson, true, packagingOptions);
+    } else {
+      const mpyFormat = options.format ? parseInt(options.format) : null;
+      archiveResult = await packager.packageForArchitectureAndFormat(url, options.version || null, options.arch || null, mpyFormat, customPackageJson, packagingOptions);
+    }
+    await this.writeLockfile(archiveResult, options);
+
+    const outputDirectory = path.resolve(options.out || '.');
+    const archivePath = path.join(outputDirectory, path.basename(archiveResult.archivePath));
+    await fs.ensureDir(outputDirectory);
+    await fs.move(archiveResult.archivePath, archivePath, { overwrite: true });
+    archiveResult.archivePath = archivePath;
+
+    const compilerInfo = archiveResult.compiler ? `\n   Compiled with ${archiveResult.compiler.path} (${archiveResult.compiler.version})` : '';
+    const failedFiles = archiveResult.compileReport?.failed || [];
+    const failureInfo = failedFiles.flatMap(failedFile => failedFile.diagnostics)
+      .map(diagnostic => `\n👀 Packaged uncompiled: ${CompilationError.formatDiagnostic(diagnostic)}`).join('');
+    return {
+      data: { archivePath, ...archiveResult.toJSON() },
+      text: `✅ Package created: ${archivePath}${compilerInfo}${failureInfo}`
+    };
+  }
+
+  /**
+   * Packages a repository and installs it on a board
+   * @param {string} url The URL of the repository or the name of an official package
+   * @param {Object} options The parsed command line options
+   * @returns {Promise<Object>} The result to print
+   */
+  async install(url, options) {
+    this.requireArgument(url, '<url>');
+    this.requireArgument(options.port, '--port');
+    const packager = this.createPackager(options);
+    const { customPackageJson, packagingOptions } = await this.getPackagingOptions(options);
+
+    const { archiveResult, ...result } = await packager.packageAndInstall(url, options.version, customPackageJson, packagingOptions);
+    await this.writeLockfile(archiveResult, options);
+
+    const messages = {
+      'skipped': '✅ Package is already up to date',
+      'incremental': `✅ Package updated (${result.uploadedFiles.length} file(s) uploaded)`,
+      'archive': '✅ Package installed',
+      'files': `✅ Package installed (${result.uploadedFiles.length} file(s) uploaded one by one)`
+    };
+    return {
+      data: { package: archiveResult.packageName, version: archiveResult.packageVersion, ...result },
+      text: messages[result.mode] || messages.archive
+    };
+  }
+
+  /**
+   * Removes an installed package from a board
+   * @param {string} packageName The name of the installed package
+   * @param {Object} options The parsed command line options
+   * @returns {Promise<Object>} The result to print
+   */
+  async uninstall(packageName, options) {
+    this.requireArgument(packageName, '<name>');
+    this.requireArgument(options.port, '--port');
+    const removedFiles = await this.createPackager(options).uninstall(packageName);
+    return {
+      data: { package: packageName, removedFiles },
+      text: `✅ Package '${packageName}' removed (${removedFiles.length} file(s))`
+    };
+  }
+
+  /**
+   * Lists the connected serial devices
+   * @returns {Promise<Object>} The result to print
+   */
+  async listDevices() {
+    const devices = await new SerialDeviceFinder().getDeviceList();
+    const toHex = (id) => `0x${id.toString(16).padStart(4, '0')}`;
+    const lines = devices.map(device => `${device.serialPort}\t${toHex(device.vendorID)}:${toHex(device.productID)}\t${device.manufacturer}`);
+
+    return {
+      data: devices,
+      text: devices.length > 0 ? lines.join('\n') : 'No devices found'
+    };
+  }
+
+  /**
+   * Shows information about a board and its installed packages
+   * @param {Object} options The parsed command line options
+   * @returns {Promise<Object>} The result to print
+   */
+  async boardInfo(options) {
+    this.requireArgument(options.port, '--port');
+    const board = new MicroPythonBoard();
+    const transport = createTransport(options.port, { password: options.password });
+    await transport.open(board);
+
+    try {
+      const installer = new PackageInstaller(board, null, { reporter: this.reporter });
+      const info = {
+        port: options.port,
+        micropythonVersion: await getMicroPythonVersionFromBoard(board),
+        architecture: await getArchitectureFromBoard(board),
+        mpyFormat: await getMPyFileFormatFromBoard(board),
+        libraryPath: await installer.getLibrariesPath(),
+        packages: (await installer.readManifest()).getPackages()
+      };
+
+      const lines = [
+        `Port:               ${info.port}`,
+        `MicroPython:        ${info.micropythonVersion}`,
+        `Architecture:       ${info.architecture || 'unknown'}`,
+        `mpy format:         ${info.mpyFormat || 'unknown'}`,
+        `Library path:       ${info.libraryPath}`,
+        `Installed packages: ${info.packages.length === 0 ? 'none' : ''}`,
+        ...info.packages.map(entry => `  ${entry.name} ${entry.version || ''} (${entry.url})`)
+      ];
+      return { data: info, text: lines.join('\n') };
+    } finally {
+      await transport.close(board);
+    }
+  }
+
+  /**
+   * Starts the packager web server. The returned promise never resolves
+   * so that the process keeps running.
+   * @param {Object} options The parsed command line options
+   * @returns {Promise<void>}
+   */
+  async serve(options) {
+    const port = options.port ? parseInt(options.port) : 3000;
+    const allowedRepositories = {};
+    for (const entry of options['allow-repo'] || []) {
+      const [scheme, repository] = entry.split(':');
+      if (!repository?.includes('/')) {
+        throw new Error(`Invalid repository ${entry}. Expected the format scheme:owner/repo or scheme:owner/*`);
+      }
+      (allowedRepositories[scheme] ||= []).push(repository);
+    }
+    const webServer = new PackagerWebServer(port, {
+      allowedRepositories,
+      cache: options['no-cache'] ? false : undefined,
+      indexes: options.index,
+      compilers: options['mpy-cross'],
+      reporter: this.reporter
+    });
+    webServer.start();
+    return new Promise(() => {});
+  }
+}
+
+export { PackagerCLI };
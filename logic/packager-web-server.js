@@ -4,6 +4,13 @@ import fs from 'fs-extra';
 import os from 'os';
 import cors from 'cors';
 import { Packager } from './packager.js';
+import { PackageCache } from './package-cache.js';
+import { isLocalPackage } from './url-helpers.js';
+import { AuthTokens } from './auth-tokens.js';
+import { HostAdapterRegistry } from './host-adapters.js';
+import { CompilerRegistry } from './compiler-registry.js';
+import { MPyCrossCompiler, CompilationError } from './mpy-cross-compiler.js';
+import { ConsoleReporter } from './progress-reporter.js';
 
 import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
@@ -19,6 +26,12 @@ const __dirname = path.dirname(__filename);
  * - version: The version of the repository to archive
  * - architecture: The architecture of the MicroPython file
  * - format: The format of the MicroPython file
+ * - optimizationLevel: The mpy-cross optimisation level from 0 to 3
+ * - emit: The code emitter: bytecode, native or viper
+ * - smallIntBits: The bit width of small ints
+ * - sourceName: The source file name stored in the compiled files
+ * - strict: If 'true', the request fails with status 422 and a JSON body containing the 'error',
+ *   the 'diagnostics' and the compile 'report' if any file fails to compile
  * 
  * The POST request accepts the following body parameters:
  * - repoUrl: The URL of the repository to archive (required)
@@ -26,6 +39,7 @@ const __dirname = path.dirname(__filename);
  * - architecture: The architecture of the MicroPython file
  * - format: The format of the MicroPython file
  * - customPackageJson: A custom package.json object to override the package.json in the repository
+ * - optimizationLevel, emit, smallIntBits, sourceName, strict: The compile options as for the GET request
  * POST request can be encoded as application/x-www-form-urlencoded or application/json.
  * 
  * The archived repositories are served as .tar.gz files for download.
@@ -35,10 +49,46 @@ const __dirname = path.dirname(__filename);
  * The web server is CORS-enabled to allow cross-origin requests.
  */
 class PackagerWebServer {
-  constructor(port = 3000) {
+  /**
+   * Creates a new PackagerWebServer instance
+   * @param {number} port The port to listen on. Defaults to 3000.
+   * @param {Object} options Additional options.
+   * @param {PackageCache|string|boolean} options.cache The cache for downloaded files, compiled files and archives
+   * shared by all requests. Can be a PackageCache instance or the path of the cache directory.
+   * Pass false to disable caching. Defaults to a cache in the default location.
+   * @param {number} options.cacheMaxSize The maximum size of the cache in bytes
+   * if no PackageCache instance is provided.
+   * @param {Array<Object>} options.hosts Additional code hosting services e.g. self-hosted GitLab instances.
+   * See createHostAdapter() for the configuration format.
+   * @param {Object<string, string>} options.tokens The access tokens for private repositories keyed by host scheme
+   * e.g. { github: 'ghp_...', gitlab: 'glpat-...' }. They are never exposed to clients.
+   * Defaults to the environment variables of the hosts e.g. GITHUB_TOKEN and GITLAB_TOKEN.
+   * @param {Object<string, Array<string>>} options.allowedRepositories The repositories clients may package
+   * with the access tokens keyed by host scheme. Entries are 'owner/repo' or 'owner/*'
+   * e.g. { github: ['arduino/*', 'acme/private-lib'] }. Requests for other repositories are sent without a token,
+   * so clients can't download arbitrary private repositories the tokens can read. Defaults to no repositories.
+   * @param {Array<string>} options.indexes The package indexes to download official packages from.
+   * Each index is a URL or the path of a local index mirror. Later indexes are used as fallbacks.
+   * @param {Array<string>} options.compilers Paths of additional mpy-cross binaries.
+   * @param {ProgressReporter} options.reporter The reporter for the progress events of all requests.
+   * Defaults to a ConsoleReporter.
+   */
+  constructor(port = 3000, options = {}) {
     this.app = express();
     this.port = port;
 
+    if (options.cache instanceof PackageCache || options.cache === false || options.cache === null) {
+      this.cache = options.cache || null;
+    } else {
+      this.cache = new PackageCache(options.cache, options.cacheMaxSize);
+    }
+
+    this.hostAdapters = new HostAdapterRegistry(options.hosts);
+    this.authTokens = new AuthTokens(options.tokens, this.hostAdapters, options.allowedRepositories || {});
+    this.indexes = options.indexes || null;
+    this.compilerRegistry = new CompilerRegistry(options.compilers);
+    this.reporter = options.reporter || new ConsoleReporter();
+
     // Enable CORS for all origins
     this.app.use(cors());
 
@@ -63,6 +113,21 @@ class PackagerWebServer {
     });
   }
 
+  /**
+   * Reads the compile options from the request parameters
+   * @param {Object} params The query or body parameters of the request
+   * @returns {Object} The compile options. Missing parameters are omitted.
+   */
+  getCompileOptions(params) {
+    const toInteger = (value) => /^\d+$/.test(value) ? parseInt(value) : value;
+    const compileOptions = {};
+    if (params.optimizationLevel) compileOptions.optimizationLevel = toInteger(params.optimizationLevel);
+    if (params.emit) compileOptions.emit = params.emit;
+    if (params.smallIntBits) compileOptions.smallIntBits = toInteger(params.smallIntBits);
+    if (params.sourceName) compileOptions.sourceName = params.sourceName;
+    return compileOptions;
+  }
+
   /**
    * Handle the request to archive a repository
    * @param {Response} res The response object
@@ -71,22 +136,34 @@ class PackagerWebServer {
    * @param {string} architecture The micro controller architecture
    * @param {string} format The MicroPython file format
    * @param {Object} customPackageJson The custom package.json override 
+   * @param {Object} compileOptions The mpy-cross options. See MPyCrossCompiler.getCompileFlags().
+   * @param {boolean} strictCompilation Whether to fail the request if any file fails to compile
    */
-  async handleArchiveRequest(res, repoUrl, version = null, architecture = null, format = null, customPackageJson = null) {
+  async handleArchiveRequest(res, repoUrl, version = null, architecture = null, format = null, customPackageJson = null, compileOptions = {}, strictCompilation = false) {
     // Convert empty strings to null for version, architecture, and format
     version = version || null;
     architecture = architecture || null;
     format = format || null;
 
     try {
-      const packager = new Packager();
+      new MPyCrossCompiler(null, { registry: this.compilerRegistry, reporter: this.reporter }).getCompileFlags('', architecture, compileOptions);
+    } catch (error) {
+      return res.status(400).send(error.message);
+    }
+
+    try {
+      const packager = new Packager(null, true, true, { cache: this.cache || false, hosts: this.hostAdapters, tokens: this.authTokens, indexes: this.indexes, compilers: this.compilerRegistry, compileOptions, strictCompilation, reporter: this.reporter });
 
       // Create a temporary file path for the .tar.gz
       const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mpy-package-archive-'));
       await fs.ensureDir(tempDir);
 
+      // Stop packaging if the client closes the connection
+      const abortController = new AbortController();
+      res.on('close', () => abortController.abort());
+
       // Archive the repository and get the filename
-      const tarGzFilePath = (await packager.packageForArchitectureAndFormat(repoUrl, version, architecture, format, customPackageJson)).archivePath;
+      const tarGzFilePath = (await packager.packageForArchitectureAndFormat(repoUrl, version, architecture, format, customPackageJson, { signal: abortController.signal })).archivePath;
       const tarGzFileName = path.basename(tarGzFilePath);
 
       // Move the .tar.gz file to temp directory for download
@@ -105,7 +182,14 @@ class PackagerWebServer {
           .catch(err => console.error('Error cleaning up file:', err.message));
       });
     } catch (error) {
-      console.error('Error:', error.message);
+      if (error?.name === 'AbortError') {
+        // The client is gone, there is nobody to respond to
+        return;
+      }
+      console.error('Error:', this.authTokens.redact(error.message));
+      if (error instanceof CompilationError) {
+        return res.status(422).json({ error: error.message, diagnostics: error.diagnostics, report: error.report });
+      }
       res.status(500).send('Internal Server Error');
     }
   }
@@ -124,7 +208,12 @@ class PackagerWebServer {
         return res.status(400).send('Repository URL is required');
       }
 
-      this.handleArchiveRequest(res, repoUrl, version, architecture, format, customPackageJsonObj)
+      // Clients must not be able to read files from the server's file system
+      if (isLocalPackage(repoUrl)) {
+        return res.status(400).send('Local packages are not supported');
+      }
+
+      this.handleArchiveRequest(res, repoUrl, version, architecture, format, customPackageJsonObj, this.getCompileOptions(req.body), String(req.body.strict) === 'true')
     });
 
     // Handle GET requests for archiving repositories
@@ -135,7 +224,12 @@ class PackagerWebServer {
         return res.status(400).send('Repository URL is required');
       }
 
-      this.handleArchiveRequest(res, repoUrl, version, architecture, format);
+      // Clients must not be able to read files from the server's file system
+      if (isLocalPackage(repoUrl)) {
+        return res.status(400).send('Local packages are not supported');
+      }
+
+      this.handleArchiveRequest(res, repoUrl, version, architecture, format, null, this.getCompileOptions(req.query), req.query.strict === 'true');
     });
 
     this.app.get('/', (req, res) => {
@@ -161,6 +255,17 @@ class PackagerWebServer {
         <input type="text" id="format" name="format" value="" ><br>
         <label for="version">Version:</label><br>
         <input type="text" id="version" name="version" value="" ><br>
+        <label for="optimizationLevel">Optimization level:</label><br>
+        <input type="text" id="optimizationLevel" name="optimizationLevel" value="" ><br>
+        <label for="emit">Emitter:</label><br>
+        <select id="emit" name="emit">
+          <option value="">default</option>
+          <option value="bytecode">bytecode</option>
+          <option value="native">native</option>
+          <option value="viper">viper</option>
+        </select><br>
+        <input type="checkbox" id="strict" name="strict" value="true">
+        <label for="strict">Fail on compilation errors</label><br>
         <label for="customPackageJson">Custom package.json:</label><br>
         <textarea id="customPackageJson" name="customPackageJson" rows="4" cols="50" style="width: 800px;"></textarea><br><br>
         <input type="submit" value="Download">
@@ -1,10 +1,21 @@
 import MicroPythonBoard from 'micropython.js';
+import crypto from 'crypto';
 import path from 'path';
+import os from 'os';
 import fs from 'fs-extra';
 import { ArchiveResult, RepositoryArchiver } from './repository-archiver.js';
 import { PackageInstaller } from './package-installer.js';
-import { MPyCrossCompiler } from './mpy-cross-compiler.js';
+import { MPyCrossCompiler, CompilationError } from './mpy-cross-compiler.js';
 import { getArchitectureFromBoard, getMPyFileFormatFromBoard } from './board-helpers.js';
+import { Lockfile } from './lockfile.js';
+import { calculateFileHash } from './file-helpers.js';
+import { PackageCache } from './package-cache.js';
+import { isLocalPackage } from './url-helpers.js';
+import { AuthTokens } from './auth-tokens.js';
+import { HostAdapterRegistry } from './host-adapters.js';
+import { CompilerRegistry } from './compiler-registry.js';
+import { ConsoleReporter } from './progress-reporter.js';
+import { createTransport } from './board-transport.js';
 
 /**
  * Class to package a repository for MicroPython and install it on a board
@@ -21,17 +32,131 @@ class Packager {
 
     /**
      * Create a new Packager instance
-     * @param {string} serialPort The serial port to communicate with the board
+     * @param {string|BoardTransport} serialPort The serial port to communicate with the board.
+     * Boards on the network can be reached through 'tcp://host:port' for a TCP socket REPL,
+     * 'ws://host[:port]' for WebREPL or any BoardTransport instance. See createTransport().
      * @param {boolean} compileFiles Whether to compile the files for the board. Defaults to true.
      * If set to false, the files will be packaged as is without compilation.
      * @param {boolean} overwriteExisting Whether to overwrite existing files on the board. Defaults to true.
      * When set to true, an existing package folder with the same name will be deleted before installing the new package.
+     * @param {Object} options Additional options.
+     * @param {boolean} options.incremental Whether to only upload the files that differ from the ones
+     * already installed on the board. Defaults to false. If no file changed, the installation is skipped.
+     * @param {PackageCache|string|boolean} options.cache The cache for downloaded files, compiled files and archives.
+     * Can be a PackageCache instance or the path of the cache directory. Pass false to disable caching.
+     * Defaults to a cache in the default location.
+     * @param {number} options.cacheMaxSize The maximum size of the cache in bytes
+     * if no PackageCache instance is provided.
+     * @param {Array<Object>} options.hosts Additional code hosting services e.g. self-hosted GitLab instances,
+     * Gitea / Forgejo instances. See createHostAdapter() for the configuration format.
+     * @param {Object<string, string>} options.tokens The access tokens for private repositories keyed by host scheme
+     * e.g. { github: 'ghp_...', gitlab: 'glpat-...' }. Tokens are only sent as request headers.
+     * Defaults to the environment variables of the hosts e.g. GITHUB_TOKEN and GITLAB_TOKEN.
+     * @param {Array<string>} options.indexes The package indexes to download official packages from.
+     * Each index is a URL or the path of a local index mirror. Later indexes are used as fallbacks.
+     * Defaults to https://micropython.org/pi/v2
+     * @param {Array<string>} options.compilers Paths of additional mpy-cross binaries.
+     * The compiler is chosen based on the mpy file format of the board. User supplied binaries
+     * are preferred over the bundled ones.
+     * @param {Object} options.compileOptions The mpy-cross options for all compiled files.
+     * They override the 'compileOptions' of a package.json file but not the options of individual files.
+     * See MPyCrossCompiler.getCompileFlags() for the supported options.
+     * @param {boolean} options.strictCompilation Whether a file that fails to compile fails the packaging
+     * with a CompilationError listing the diagnostics of all failed files. Defaults to false
+     * in which case failed files are packaged as .py files and reported in the compile report.
+     * @param {ProgressReporter} options.reporter The reporter that receives the progress events of all phases.
+     * Defaults to a ConsoleReporter. Pass a SilentReporter to disable all output
+     * or an EventReporter to receive the events through an EventEmitter.
+     * @param {number} options.uploadRetries How many times an interrupted upload is retried after
+     * reopening the serial port. Retries resume at the last byte that was verified on the board. Defaults to 3.
+     * @param {string} options.installStrategy 'archive' to extract the archive on the board, 'files' to upload
+     * the files one by one for boards without the deflate module or 'auto' (default) to decide based on the board.
+     * @param {string} options.webreplPassword The WebREPL password if it's not part of the address.
+     * Defaults to the WEBREPL_PASSWORD environment variable.
      */
-    constructor(serialPort, compileFiles = true, overwriteExisting = true) {
+    constructor(serialPort, compileFiles = true, overwriteExisting = true, options = {}) {
         this.serialPort = serialPort;
+        this.transport = createTransport(serialPort, { password: options.webreplPassword });
         this.board = new MicroPythonBoard();
         this.compileFiles = compileFiles;
         this.overwriteExisting = overwriteExisting;
+        this.incremental = options.incremental ?? false;
+        this.hostAdapters = options.hosts instanceof HostAdapterRegistry ? options.hosts : new HostAdapterRegistry(options.hosts);
+        this.authTokens = options.tokens instanceof AuthTokens ? options.tokens : new AuthTokens(options.tokens, this.hostAdapters);
+        this.indexes = options.indexes || null;
+        this.compilerRegistry = options.compilers instanceof CompilerRegistry ? options.compilers : new CompilerRegistry(options.compilers);
+        this.compileOptions = options.compileOptions || {};
+        this.strictCompilation = options.strictCompilation ?? false;
+        this.reporter = options.reporter || new ConsoleReporter();
+        this.uploadRetries = options.uploadRetries ?? 3;
+        this.installStrategy = options.installStrategy || 'auto';
+
+        if (options.cache instanceof PackageCache) {
+            this.cache = options.cache;
+        } else if (options.cache === false || options.cache === null) {
+            this.cache = null;
+        } else {
+            this.cache = new PackageCache(options.cache, options.cacheMaxSize);
+        }
+    }
+
+    /**
+     * Determines the key under which the archive for the given parameters is cached.
+     * Archives of moving references such as HEAD and of local packages are not cached as they would never be updated.
+     * @param {string} repositoryUrl The URL of the repository to package
+     * @param {string} version The version of the repository to package
+     * @param {string} architecture The architecture of the board (e.g. 'xtensa')
+     * @param {number} mpyFormat The major version of the mpy file format (e.g. 6)
+     * @param {Object} customPackageJson The custom package.json object or null
+     * @param {Lockfile} lockfile The lockfile to reproduce the archive from or null
+     * @param {boolean} createLockfile Whether a lockfile is created along with the archive
+     * @param {string} compilerVersion The version of the compiler used to compile the files or null
+     * @param {Object} compileOptions The compile options passed to the archiver
+     * @returns {Array} The cache key or null if the archive shouldn't be cached
+     */
+    getArchiveCacheKey(repositoryUrl, version, architecture, mpyFormat, customPackageJson, lockfile, createLockfile, compilerVersion = null, compileOptions = {}) {
+        // Local packages can change at any time without a new version
+        if (isLocalPackage(repositoryUrl)) {
+            return null;
+        }
+        if (!lockfile && (!version || version === 'HEAD' || version === 'latest')) {
+            return null;
+        }
+        const hash = (value) => value ? crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex') : null;
+        return [repositoryUrl, version, architecture, mpyFormat, hash(customPackageJson), hash(lockfile), createLockfile, this.indexes, compilerVersion, compileOptions];
+    }
+
+    /**
+     * Retrieves a previously created archive from the cache
+     * @param {Array} cacheKey The cache key as determined by getArchiveCacheKey()
+     * @returns {Promise<ArchiveResult>} A copy of the cached archive or null if it's not cached
+     */
+    async getCachedArchive(cacheKey) {
+        const cachedArchive = await this.cache.get('archive', cacheKey);
+        if (!cachedArchive) {
+            return null;
+        }
+        const targetDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'mpy-package-archive-'));
+        const archivePath = path.join(targetDirectory, cachedArchive.metadata.fileName);
+        await fs.copy(cachedArchive.path, archivePath);
+        return ArchiveResult.fromJSON(cachedArchive.metadata.archiveResult, archivePath);
+    }
+
+    /**
+     * Ensures that all files of an archive were compiled if strict compilation is enabled.
+     * The archive is removed if any file failed to compile.
+     * @param {ArchiveResult} archiveResult The result of the archive operation
+     * @throws {CompilationError} If strict compilation is enabled and any file failed to compile
+     */
+    async assertCompilationSucceeded(archiveResult) {
+        const failedFiles = archiveResult.compileReport?.failed || [];
+        if (!this.strictCompilation || failedFiles.length === 0) {
+            return;
+        }
+        await fs.remove(archiveResult.archivePath);
+        const diagnostics = failedFiles.flatMap(failedFile => failedFile.diagnostics);
+        const details = diagnostics.map(diagnostic => `  ${CompilationError.formatDiagnostic(diagnostic)}`).join('\n');
+        throw new CompilationError(`Compilation failed for ${failedFiles.length} file(s):\n${details}`, diagnostics, archiveResult.compileReport);
     }
 
     /**
@@ -40,38 +165,127 @@ class Packager {
      * Supported formats: 'github:owner/repo' or 'gitlab:owner/repo'
      * or https://github.com/owner/repo or https://gitlab.com/owner/repo.
      * It's also possible to indicate a specific package.json file or even single .py files.
+     * Local directories containing a package.json file, local files and file:// URLs are supported too.
      * If the parameter is a simple string, it will be treated as the name of an official package.
      * @param {string} version The version of the repository to package.
      * @param {string} architecture The architecture of the board (e.g. 'xtensa')
      * @param {number} mpyFormat The major version of the mpy file format (e.g. 6)
      * @param {Object} customPackageJson The custom package.json object.
      * This parameter is optional. If not provided, the package.json file from the repository will be used.
+     * @param {Object} options Additional packaging options.
+     * @param {Lockfile|string} options.lockfile A lockfile or the path to a lockfile to reproduce the archive from.
+     * Packaging fails if the lockfile was created for a different package or version
+     * or if any downloaded file or the resulting archive doesn't match the recorded hashes.
+     * @param {boolean} options.createLockfile Whether to create a lockfile that is returned
+     * as 'lockfile' property of the ArchiveResult. Defaults to false.
+     * @param {AbortSignal} options.signal A signal to cancel the packaging. Downloads are aborted,
+     * running mpy-cross processes are killed and temporary files are removed.
+     * The promise then rejects with the reason of the signal.
      * @returns {Promise<ArchiveResult>} A promise that resolves to the result of the archive operation,
      * including the path of the archive file and the package folders.
      * and the path of the package folder
+     * @throws {CompilationError} If strict compilation is enabled and a file fails to compile
      * @throws {Error} If the package cannot be created
      */
-    async packageForArchitectureAndFormat(repositoryUrl, version, architecture, mpyFormat, customPackageJson = null) {
-        const compiler = new MPyCrossCompiler();
-        let downloadedFileCallback = null;
+    async packageForArchitectureAndFormat(repositoryUrl, version, architecture, mpyFormat, customPackageJson = null, options = {}) {
+        let lockfile = options.lockfile || null;
+        if (typeof lockfile === 'string') {
+            lockfile = await Lockfile.load(lockfile);
+        }
+        // Fail before a cached archive of the locked package is returned for a different request
+        lockfile?.assertRoot(this.hostAdapters.normalizeUrl(repositoryUrl), version);
 
+        const signal = options.signal || null;
+        const compiler = new MPyCrossCompiler(this.cache, { registry: this.compilerRegistry, reporter: this.reporter, signal });
         // No need to check 'architecture' for null as the compilation works without it
-        if (mpyFormat && await compiler.supportsMpyFileFormat(mpyFormat)) {
-            downloadedFileCallback = async (filePath, basePath) => {
-                const fileName = path.basename(filePath);
-                console.debug(`✅ File downloaded: ${fileName}`);
-                console.debug(`🔧 Compiling ${fileName}...`);
+        const canCompile = mpyFormat && await compiler.supportsMpyFileFormat(mpyFormat);
+        if (mpyFormat && !canCompile) {
+            this.reporter.report({ phase: 'compile', status: 'warning', mpyFormat, message: `No mpy-cross compiler for mpy format v${mpyFormat} found. Files won't be compiled.` });
+        }
+        if (canCompile) {
+            // Fail early on invalid options instead of falling back to uncompiled files
+            compiler.getCompileFlags('', architecture, this.compileOptions);
+        }
+
+        const cacheKey = this.cache ? this.getArchiveCacheKey(repositoryUrl, version, architecture, mpyFormat, customPackageJson, lockfile, options.createLockfile ?? false, compiler.selectedCompiler?.version, this.compileOptions) : null;
+        if (cacheKey) {
+            const cachedArchiveResult = await this.getCachedArchive(cacheKey);
+            if (cachedArchiveResult) {
+                this.reporter.report({ phase: 'package', status: 'info', cached: true, archivePath: cachedArchiveResult.archivePath, message: `Using cached archive for ${this.authTokens.redact(repositoryUrl)} ${version}` });
+                await this.assertCompilationSucceeded(cachedArchiveResult);
+                return cachedArchiveResult;
+            }
+        }
+
+        let downloadedFileCallback = null;
+        const compileReport = { compiled: [], skipped: [], failed: [] };
+        if (canCompile) {
+            downloadedFileCallback = async (filePath, basePath, compileOptions) => {
+                const targetPath = path.relative(basePath, filePath).replace(/\\/g, '/');
                 try {
-                    return await compiler.compileFile(filePath, basePath, architecture);
+                    const compiledFilePath = await compiler.compileFile(filePath, basePath, architecture, compileOptions);
+                    (compiledFilePath === filePath ? compileReport.skipped : compileReport.compiled).push(targetPath);
+                    return compiledFilePath;
                 } catch (error) {
-                    console.error(`❌ Compilation failed: ${error.message}`);
+                    signal?.throwIfAborted();
+                    const diagnostics = error.diagnostics || [{ file: targetPath, line: null, type: null, message: error.message }];
+                    this.reporter.report({ phase: 'compile', status: 'error', file: targetPath, diagnostics, message: `Compilation failed: ${error.message}` });
+                    compileReport.failed.push({ file: targetPath, diagnostics });
                     return filePath;
                 }
             }
         }
 
-        const archiver = new RepositoryArchiver(repositoryUrl, version, mpyFormat, customPackageJson);
-        return archiver.archiveRepository(downloadedFileCallback);                        
+        const archiver = new RepositoryArchiver(repositoryUrl, version, mpyFormat, customPackageJson, {
+            lockfile,
+            createLockfile: options.createLockfile ?? false,
+            cache: this.cache,
+            hosts: this.hostAdapters,
+            tokens: this.authTokens,
+            indexes: this.indexes,
+            compileOptions: this.compileOptions,
+            reporter: this.reporter,
+            signal
+        });
+        const archiveResult = await archiver.archiveRepository(downloadedFileCallback);
+        // The archive content depends on the target the files were compiled for
+        const compiledMpyFormat = downloadedFileCallback ? mpyFormat : null;
+        const compiledArchitecture = downloadedFileCallback ? architecture : null;
+        archiveResult.architecture = compiledArchitecture;
+        if (downloadedFileCallback) {
+            const { path: compilerPath, source, version: compilerVersion } = compiler.selectedCompiler;
+            archiveResult.compiler = { path: compilerPath, source, version: compilerVersion, mpyFormat };
+            // Sort the entries as the files are compiled in parallel
+            compileReport.compiled.sort();
+            compileReport.skipped.sort();
+            compileReport.failed.sort((a, b) => a.file.localeCompare(b.file));
+            archiveResult.compileReport = compileReport;
+        }
+        await this.assertCompilationSucceeded(archiveResult);
+
+        if (archiveResult.lockfile) {
+            const archiveHash = await calculateFileHash(archiveResult.archivePath);
+            if (lockfile) {
+                try {
+                    if (lockfile.verifyArchive(archiveHash, compiledMpyFormat, compiledArchitecture, archiveResult.compileOptions)) {
+                        this.reporter.report({ phase: 'verify', status: 'end', archivePath: archiveResult.archivePath, message: 'Archive matches the lockfile' });
+                    }
+                } catch (error) {
+                    fs.removeSync(archiveResult.archivePath);
+                    throw error;
+                }
+            } else {
+                archiveResult.lockfile.setArchive(archiveHash, compiledMpyFormat, compiledArchitecture, archiveResult.compileOptions);
+            }
+        }
+
+        if (cacheKey) {
+            await this.cache.put('archive', cacheKey, archiveResult.archivePath, {
+                fileName: path.basename(archiveResult.archivePath),
+                archiveResult: archiveResult.toJSON()
+            });
+        }
+        return archiveResult;
     }
 
     /**
@@ -82,17 +296,19 @@ class Packager {
      * Supported formats: 'github:owner/repo' or 'gitlab:owner/repo'
      * or https://github.com/owner/repo or https://gitlab.com/owner/repo.
      * It's also possible to indicate a specific package.json file or even single .py files.
+     * Local directories containing a package.json file, local files and file:// URLs are supported too.
      * If the parameter is a simple string, it will be treated as the name of an official package.
      * @param {string} version The version of the repository to package. Defaults to latest.
      * @param {Object} customPackageJson The custom package.json object.
      * This parameter is optional. If not provided, the package.json file from the repository will be used.
      * @param {boolean} closePort Whether to close the serial port after packaging the repository. Defaults to true.
+     * @param {Object} options Additional packaging options. See packageForArchitectureAndFormat().
      * @returns {Promise<ArchiveResult>} A promise that resolves to the result of the archive operation,
      * including the path of the archive file, the package folders.
      * and the path of the package folder.
      * @throws {Error} If the package cannot be created
      */
-    async package(repositoryUrl, version = null, customPackageJson = null, closePort = true) {        
+    async package(repositoryUrl, version = null, customPackageJson = null, closePort = true, options = {}) {        
         let archiveResult;
         let architecture = null;
         let mpyFormat = null;
@@ -100,9 +316,9 @@ class Packager {
 
         try {            
             if(!this.board.serial?.isOpen) {
-                await this.board.open(this.serialPort);
+                await this.transport.open(this.board);
             }
-            console.debug(`🔧 Creating archive from ${repositoryUrl}...`);
+            this.reporter.report({ phase: 'package', status: 'start', package: this.authTokens.redact(repositoryUrl), version, message: `Creating archive from ${this.authTokens.redact(repositoryUrl)}...` });
 
             // If the files need to be compiled, get the architecture and mpy file format
             // Not specifying those will result in the compilation being skipped.
@@ -111,12 +327,14 @@ class Packager {
                 mpyFormat = await getMPyFileFormatFromBoard(this.board);
             }
 
-            archiveResult = await this.packageForArchitectureAndFormat(repositoryUrl, version, architecture, mpyFormat, customPackageJson);
-            console.debug(`✅ Archive created: ${archiveResult.archivePath}`);
+            options.signal?.throwIfAborted();
+            archiveResult = await this.packageForArchitectureAndFormat(repositoryUrl, version, architecture, mpyFormat, customPackageJson, options);
+            this.reporter.report({ phase: 'package', status: 'end', archivePath: archiveResult.archivePath, message: `Archive created: ${archiveResult.archivePath}` });
         } catch (error) {
+            options.signal?.throwIfAborted();
             throw new Error(`Couldn't package archive: ${error.message}`);
         } finally {
-            if(closePort) await this.board.close();
+            if(closePort) await this.transport.close(this.board);
         }
 
         return archiveResult;
@@ -128,35 +346,86 @@ class Packager {
      * Supported formats: 'github:owner/repo' or 'gitlab:owner/repo'
      * or https://github.com/owner/repo or https://gitlab.com/owner/repo.
      * It's also possible to indicate a specific package.json file or even single .py files.
+     * Local directories containing a package.json file, local files and file:// URLs are supported too.
      * If the parameter is a simple string, it will be treated as the name of an official package.
      * @param {string} version The version of the repository to install. Defaults to latest.
      * @param {Object} customPackageJson The custom package.json object.
      * This parameter is optional. If not provided, the package.json file from the repository will be used.
+     * @param {Object} options Additional packaging options. See packageForArchitectureAndFormat().
+     * The 'signal' option also cancels the installation. See PackageInstaller.
+     * @returns {Promise<Object>} An object with the properties 'mode' ('archive', 'files', 'incremental' or 'skipped'),
+     * 'uploadedFiles' containing the paths of the files that were installed
+     * and 'archiveResult' containing the result of the archive operation.
+     * The archive file itself is removed after the installation.
      */
-    async packageAndInstall(repositoryUrl, version = null, customPackageJson = null) {
+    async packageAndInstall(repositoryUrl, version = null, customPackageJson = null, options = {}) {
         if(!this.board.serial?.isOpen) {
-            await this.board.open(this.serialPort);
+            await this.transport.open(this.board);
         }
 
         version = version || "HEAD";
         let tarFilePath;
         
         try {
-            const archiveResult = await this.package(repositoryUrl, version, customPackageJson, false);
+            const archiveResult = await this.package(repositoryUrl, version, customPackageJson, false, options);
             const packageFiles = archiveResult.packageFiles;
             tarFilePath = archiveResult.archivePath;
-            const packageInstaller = new PackageInstaller(this.board);
-            await packageInstaller.installPackage(tarFilePath, packageFiles, this.overwriteExisting, (progress) => {
-                console.debug(`Progress: ${progress}%`);
+            const packageInstaller = new PackageInstaller(this.board, null, {
+                incremental: this.incremental,
+                reporter: this.reporter,
+                signal: options.signal,
+                uploadRetries: this.uploadRetries,
+                strategy: this.installStrategy,
+                reconnect: () => this.reopenPort()
             });
+            const installResult = await packageInstaller.installPackage(tarFilePath, packageFiles, this.overwriteExisting, null, archiveResult);
+            return { ...installResult, archiveResult };
         } catch (error) {
             throw error;
         } finally {
             if(tarFilePath) {
-                console.debug('🧹 Cleaning up local archive file...');
+                this.reporter.report({ phase: 'cleanup', status: 'start', file: tarFilePath, message: 'Cleaning up local archive file...' });
                 fs.removeSync(tarFilePath);
             }
-            await this.board.close();
+            await this.transport.close(this.board);
+        }
+    }
+
+    /**
+     * Reopens the connection e.g. after the board disconnected during an upload
+     */
+    async reopenPort() {
+        try {
+            await this.transport.close(this.board);
+        } catch (error) {
+            // The port may already be closed after a disconnect
+        }
+        await this.transport.open(this.board);
+    }
+
+    /**
+     * Removes an installed package from the board.
+     * All files the package installed, including the files of its dependencies, are removed
+     * unless another installed package still needs them.
+     * Only packages that are recorded in the manifest on the board can be removed.
+     * @param {string} packageName The name of the package as recorded in the manifest
+     * @returns {Promise<Array<string>>} The removed file paths relative to the library folder
+     * @throws {Error} If the package is not installed or cannot be removed
+     */
+    async uninstall(packageName) {
+        if(!this.board.serial?.isOpen) {
+            await this.transport.open(this.board);
+        }
+
+        try {
+            const packageInstaller = new PackageInstaller(this.board, null, { reporter: this.reporter });
+            const removedFiles = await packageInstaller.uninstallPackage(packageName);
+            this.reporter.report({ phase: 'uninstall', status: 'end', package: packageName, files: removedFiles, message: `Package '${packageName}' removed` });
+            return removedFiles;
+        } catch (error) {
+            throw new Error(`Couldn't uninstall package: ${error.message}`);
+        } finally {
+            await this.transport.close(this.board);
         }
     }
 }
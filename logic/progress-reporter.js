@@ -0,0 +1,109 @@
+import { EventEmitter } from 'events';
+
+/**
+ * The phases of packaging and installing a package in the order they usually occur
+ */
+const PHASES = ['resolve', 'download', 'compile', 'package', 'upload', 'verify', 'extract', 'install', 'cleanup', 'uninstall'];
+
+/**
+ * Icons used by the ConsoleReporter for the phases
+ */
+const PHASE_ICONS = {
+  resolve: '🔍', download: '🌐', compile: '🔧', package: '📁', upload: '📤',
+  verify: '🔍', extract: '📦', install: '📝', cleanup: '🧹', uninstall: '🗑'
+};
+
+/**
+ * Icons used by the ConsoleReporter for the statuses that don't use the icon of the phase
+ */
+const STATUS_ICONS = { end: '✅', skip: '👍', warning: '👀', error: '❌' };
+
+/**
+ * Base class of all reporters. A reporter receives the progress events of the Packager,
+ * RepositoryArchiver, MPyCrossCompiler and PackageInstaller.
+ * Each event is an object with the following properties:
+ * - phase: One of 'resolve', 'download', 'compile', 'package', 'upload', 'verify', 'extract',
+ *   'install', 'cleanup' or 'uninstall'
+ * - status: One of 'start', 'progress', 'end', 'skip', 'info', 'warning' or 'error'
+ * - message: A human readable description of the event
+ * Depending on the event, it contains further properties such as 'package', 'version', 'file', 'url',
+ * 'bytes', 'totalBytes', 'percent', 'entry' or 'diagnostics'.
+ * Subclasses override report().
+ */
+class ProgressReporter {
+
+  /**
+   * Reports a progress event. The base implementation ignores all events.
+   * @param {Object} event The event
+   */
+  report(event) {}
+}
+
+/**
+ * Reporter that ignores all events. Use it to make the library silent.
+ */
+class SilentReporter extends ProgressReporter {}
+
+/**
+ * Reporter that prints the events as human readable messages.
+ * Warnings and errors are printed with console.warn() and console.error(), all other events with console.debug().
+ */
+class ConsoleReporter extends ProgressReporter {
+
+  /**
+   * Creates a new ConsoleReporter instance
+   * @param {Console} output The console to print to. Defaults to the global console.
+   * Pass e.g. new Console(process.stderr) to keep stdout clean.
+   */
+  constructor(output = console) {
+    super();
+    this.output = output;
+  }
+
+  report(event) {
+    const icon = STATUS_ICONS[event.status] || PHASE_ICONS[event.phase] || 'ℹ️';
+    const text = `${icon} ${event.message}`;
+
+    if (event.status === 'error') {
+      this.output.error(text);
+    } else if (event.status === 'warning') {
+      this.output.warn(text);
+    } else {
+      this.output.debug(text);
+    }
+  }
+}
+
+/**
+ * Reporter that emits the events through an EventEmitter e.g. to show the progress in a GUI.
+ * Every event is emitted as 'event' and under the name of its phase e.g. 'download'.
+ */
+class EventReporter extends ProgressReporter {
+
+  /**
+   * Creates a new EventReporter instance
+   * @param {EventEmitter} emitter The emitter to emit the events with. Defaults to a new EventEmitter.
+   */
+  constructor(emitter = new EventEmitter()) {
+    super();
+    this.emitter = emitter;
+  }
+
+  /**
+   * Registers a listener for the given event name
+   * @param {string} eventName 'event' for all events or the name of a phase
+   * @param {function} listener The function that receives the event object
+   * @returns {EventReporter} This reporter to allow chaining
+   */
+  on(eventName, listener) {
+    this.emitter.on(eventName, listener);
+    return this;
+  }
+
+  report(event) {
+    this.emitter.emit('event', event);
+    this.emitter.emit(event.phase, event);
+  }
+}
+
+export { ProgressReporter, SilentReporter, ConsoleReporter, EventReporter, PHASES };
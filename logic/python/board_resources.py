@@ -0,0 +1,8 @@
+import os, gc
+
+def print_resources(path):
+    # Prints the block size, the free flash storage in bytes of the file system
+    # containing the given path and the free RAM in bytes
+    gc.collect()
+    stat = os.statvfs(path)
+    print(stat[0], stat[1] * stat[4], gc.mem_free())
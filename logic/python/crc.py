@@ -1,10 +1,44 @@
 import binascii
 
 """
-Validate CRC32 checksum of the data by extracting the last 4 bytes of the data
-and comparing it with the calculated CRC32 checksum of the data excluding
-the last 4 bytes (CRC).
+The encoding of the chunks sent by the host. Base64 is preferred as it
+only adds a third to the size of the data. Hex is used on ports without it.
 """
-def validate_crc(data):
-    source_crc = int.from_bytes(bytes(data[-4:]), 'big')
-    return source_crc == binascii.crc32(bytes(data[:-4]))
+try:
+    decode_chunk = binascii.a2b_base64
+    ENCODING = 'base64'
+except AttributeError:
+    decode_chunk = binascii.unhexlify
+    ENCODING = 'hex'
+
+"""
+Decode an encoded chunk, validate it against the given CRC32 checksum
+and append it to the file. Prints 1 if the chunk was written, 0 otherwise.
+"""
+def write_chunk(f, data, crc):
+    chunk = decode_chunk(data)
+    if binascii.crc32(chunk) == crc:
+        f.write(chunk)
+        print(1)
+    else:
+        print(0)
+
+"""
+Print the size and the CRC32 checksum of a file separated by a space
+or -1 if the file doesn't exist. Used to resume an interrupted upload.
+"""
+def print_file_crc(path, chunk_size=512):
+    crc = 0
+    size = 0
+    try:
+        with open(path, 'rb') as f:
+            while True:
+                data = f.read(chunk_size)
+                if not data:
+                    break
+                crc = binascii.crc32(data, crc)
+                size += len(data)
+    except OSError:
+        print(-1)
+        return
+    print(size, crc)
@@ -0,0 +1,19 @@
+from hashlib import sha256
+from binascii import hexlify
+
+def print_file_hashes(file_paths, chunk_size = 512):
+  for file_path in file_paths:
+    hash = sha256()
+
+    try:
+      with open(file_path, 'rb') as f:
+        while True:
+          data = f.read(chunk_size)
+          if len(data) == 0:
+            break
+          hash.update(data)
+    except OSError:
+      print(file_path, '-')
+      continue
+
+    print(file_path, hexlify(hash.digest()).decode())
@@ -0,0 +1,96 @@
+import os
+
+_S_IFDIR = 0o040000
+_S_IFMT = 0o170000
+# Lists the swapped entries so that an interrupted installation can be recovered
+JOURNAL_FILE_NAME = ".entries"
+
+def path_exists(path):
+    try:
+        os.stat(path)
+        return True
+    except OSError:
+        return False
+
+def remove_recursive(path):
+    if not path_exists(path):
+        return
+    if (os.stat(path)[0] & _S_IFMT) == _S_IFDIR:
+        for item in os.listdir(path):
+            remove_recursive(path + "/" + item)
+        os.rmdir(path)
+    else:
+        os.remove(path)
+
+def make_parent_dirs(path):
+    # Entries can be nested e.g. the changed files of an incremental update
+    index = path.rfind("/")
+    if index > 0 and not path_exists(path[:index]):
+        make_parent_dirs(path[:index])
+        os.mkdir(path[:index])
+
+def read_journal(backup_dir):
+    journal = backup_dir + "/" + JOURNAL_FILE_NAME
+    if not path_exists(journal):
+        return os.listdir(backup_dir)
+    with open(journal) as f:
+        return [entry for entry in f.read().split("\n") if entry]
+
+def recover_backup(target_dir, backup_dir):
+    # A previous installation was interrupted while swapping the entries.
+    # Entries that are missing in the target directory only exist in the backup.
+    if not path_exists(backup_dir):
+        return
+    for entry in read_journal(backup_dir):
+        backup = backup_dir + "/" + entry
+        target = target_dir + "/" + entry
+        if path_exists(backup) and not path_exists(target):
+            print("Restoring", entry)
+            make_parent_dirs(target)
+            os.rename(backup, target)
+    remove_recursive(backup_dir)
+
+def prepare_staging(target_dir, staging_dir, backup_dir):
+    recover_backup(target_dir, backup_dir)
+    remove_recursive(staging_dir)
+    os.mkdir(staging_dir)
+    print("Staging prepared")
+
+def roll_back(target_dir, backup_dir, entries):
+    for entry in entries:
+        target = target_dir + "/" + entry
+        backup = backup_dir + "/" + entry
+        remove_recursive(target)
+        if path_exists(backup):
+            os.rename(backup, target)
+    remove_recursive(backup_dir)
+    print("Rollback complete")
+
+def swap_in(target_dir, staging_dir, backup_dir, entries):
+    remove_recursive(backup_dir)
+    os.mkdir(backup_dir)
+    with open(backup_dir + "/" + JOURNAL_FILE_NAME, "w") as f:
+        f.write("\n".join(entries))
+    moved = []
+    try:
+        for entry in entries:
+            target = target_dir + "/" + entry
+            staged = staging_dir + "/" + entry
+            if path_exists(target):
+                backup = backup_dir + "/" + entry
+                make_parent_dirs(backup)
+                os.rename(target, backup)
+            moved.append(entry)
+            # Entries that weren't staged are removed e.g. obsolete files of an incremental update
+            if path_exists(staged):
+                make_parent_dirs(target)
+                os.rename(staged, target)
+    except Exception as e:
+        roll_back(target_dir, backup_dir, moved)
+        raise e
+    print("Swap complete")
+
+def clean_up(staging_dir, backup_dir):
+    remove_recursive(staging_dir)
+    remove_recursive(backup_dir)
+    print("Clean up complete")
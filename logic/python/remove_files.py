@@ -0,0 +1,20 @@
+import os
+
+def remove_files(file_paths):
+    for file_path in file_paths:
+        try:
+            os.remove(file_path)
+            print("Removing file:", file_path)
+        except OSError:
+            print("File not found:", file_path)
+
+def remove_empty_directories(directories):
+    for directory in directories:
+        try:
+            if len(os.listdir(directory)) > 0:
+                print("Keeping non-empty directory:", directory)
+                continue
+            os.rmdir(directory)
+            print("Removing directory:", directory)
+        except OSError:
+            print("Directory not found:", directory)
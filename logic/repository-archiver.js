@@ -4,10 +4,21 @@ import os from 'os';
 import path from 'path';
 import { pipeline } from 'stream';
 import { promisify } from 'util';
-import { isCustomPackage } from './url-helpers.js';
+import { pathToFileURL } from 'url';
+import { isCustomPackage, isLocalPackage, getLocalPath } from './url-helpers.js';
+import { calculateDirectoryHashes, calculateFileHash, listFilesRecursive } from './file-helpers.js';
+import { DependencyResolver, DependencyGraph } from './dependency-resolver.js';
+import { Lockfile } from './lockfile.js';
+import { PackageCache } from './package-cache.js';
+import { AuthTokens } from './auth-tokens.js';
+import { HostAdapterRegistry } from './host-adapters.js';
+import { ConsoleReporter } from './progress-reporter.js';
 
 const pipe = promisify(pipeline);
 const MICROPYTHON_LIB_INDEX = "https://micropython.org/pi/v2";
+// Expected file hashes are sha256 hashes or a prefix of at least the length the package index uses
+const MIN_HASH_PREFIX_LENGTH = 8;
+const HASH_PREFIX_PATTERN = new RegExp(`^[0-9a-f]{${MIN_HASH_PREFIX_LENGTH},64}$`, 'i');
 
 // SEE: https://github.com/micropython/micropython/blob/master/tools/mpremote/mpremote/mip.py
 
@@ -22,10 +33,115 @@ class ArchiveResult {
    * Creates a new ArchiveResult object
    * @param {string} archivePath The path to the created archive
    * @param {Array} packageFiles The target file paths of all files in the archive.
+   * @param {string} packageName The name of the package taken from the package.json file
+   * or the repository name if the package.json file doesn't specify one.
+   * @param {string} packageVersion The version of the package or null if it's unknown.
    */
-  constructor(archivePath, packageFiles) {
+  constructor(archivePath, packageFiles, packageName = null, packageVersion = null) {
     this.archivePath = archivePath;
     this.packageFiles = packageFiles;
+    this.packageName = packageName;
+    this.packageVersion = packageVersion;
+
+    /**
+     * The URL or package name the archive was created from
+     * @type {string}
+     */
+    this.sourceUrl = null;
+
+    /**
+     * The mpy file format the files were compiled for or null if they weren't compiled
+     * @type {number}
+     */
+    this.mpyFormat = null;
+
+    /**
+     * The mpy-cross compiler the files were compiled with or null if they weren't compiled.
+     * An object with the properties 'path', 'source' ('user' or 'bundled'), 'version' and 'mpyFormat'
+     * @type {Object}
+     */
+    this.compiler = null;
+
+    /**
+     * The mpy-cross options of the compiled files keyed by their target path before compilation.
+     * Files compiled without options are not listed.
+     * e.g. { 'modulino/fast.py': { optimizationLevel: 3, emit: 'native' } }
+     * @type {Object<string, Object>}
+     */
+    this.compileOptions = {};
+
+    /**
+     * The result of the compilation or null if the files weren't compiled.
+     * An object with the properties 'compiled' and 'skipped' (the target paths of the compiled files
+     * and of the files that weren't compiled because they aren't .py files) and 'failed' (objects with
+     * the properties 'file' and 'diagnostics' describing the files that failed to compile and were packaged as is).
+     * Files of official packages are downloaded precompiled and not listed.
+     * @type {Object}
+     */
+    this.compileReport = null;
+
+    /**
+     * The architecture the files were compiled for or null if they weren't compiled
+     * @type {string}
+     */
+    this.architecture = null;
+
+    /**
+     * The sha256 hashes of all files in the archive keyed by their path relative to the library folder
+     * e.g. { 'modulino/__init__.mpy': 'ab12...' }
+     * @type {Object<string, string>}
+     */
+    this.fileHashes = {};
+
+    /**
+     * The resolved dependency graph of the package
+     * @type {DependencyGraph}
+     */
+    this.dependencyGraph = null;
+
+    /**
+     * The lockfile describing the archive if its creation was requested
+     * or the lockfile the archive was reproduced from.
+     * @type {Lockfile}
+     */
+    this.lockfile = null;
+  }
+
+  /**
+   * Creates an ArchiveResult from serialized data e.g. when restoring it from the cache
+   * @param {Object} data The serialized ArchiveResult as created by toJSON()
+   * @param {string} archivePath The path to the archive
+   * @returns {ArchiveResult} The ArchiveResult
+   */
+  static fromJSON(data, archivePath) {
+    const archiveResult = new ArchiveResult(archivePath, data.packageFiles, data.packageName, data.packageVersion);
+    archiveResult.sourceUrl = data.sourceUrl;
+    archiveResult.mpyFormat = data.mpyFormat;
+    archiveResult.architecture = data.architecture;
+    archiveResult.compiler = data.compiler ?? null;
+    archiveResult.compileOptions = data.compileOptions ?? {};
+    archiveResult.compileReport = data.compileReport ?? null;
+    archiveResult.fileHashes = data.fileHashes;
+    archiveResult.dependencyGraph = data.dependencyGraph ? DependencyGraph.fromJSON(data.dependencyGraph) : null;
+    archiveResult.lockfile = data.lockfile ? new Lockfile(data.lockfile) : null;
+    return archiveResult;
+  }
+
+  toJSON() {
+    return {
+      packageFiles: this.packageFiles,
+      packageName: this.packageName,
+      packageVersion: this.packageVersion,
+      sourceUrl: this.sourceUrl,
+      mpyFormat: this.mpyFormat,
+      architecture: this.architecture,
+      compiler: this.compiler,
+      compileOptions: this.compileOptions,
+      compileReport: this.compileReport,
+      fileHashes: this.fileHashes,
+      dependencyGraph: this.dependencyGraph,
+      lockfile: this.lockfile
+    };
   }
 }
 
@@ -39,7 +155,9 @@ class RepositoryArchiver {
    * 
    * @param {string} repoUrl The URL of the repository to archive in the format 'github:owner/repo' or 'gitlab:owner/repo'
    * or https://github.com/owner/repo or https://gitlab.com/owner/repo.
+   * Repositories of other configured hosts can be referenced by their scheme e.g. 'bitbucket:owner/repo'.
    * It's also possible to indicate a specific package.json file or even single .py files.
+   * Local directories containing a package.json file, local .py / .mpy files and file:// URLs are supported too.
    * If the parameter is a simple string, it will be treated as the name of an official package.
    * @param {string} version The version to archive.
    * This is the release version provided by GitHub or GitLab not the version in the package.json file
@@ -50,45 +168,203 @@ class RepositoryArchiver {
    * @param {Object} customPackageJson A custom package.json object to use instead of fetching it from the repository.
    * This is useful when the package.json file is not available in the repository or when the files to download are known in advance.
    * It can also be used to selectively download files.
+   * @param {Object} options Additional options.
+   * @param {Lockfile} options.lockfile A lockfile to reproduce a previously created archive from.
+   * The locked file URLs are used instead of resolving the package again and every downloaded file
+   * is checked against the recorded hash. It has to be created for the same repository URL and version.
+   * @param {boolean} options.createLockfile Whether to pin all packages to exact commit SHAs or versions
+   * and create a lockfile that is returned as part of the ArchiveResult. Defaults to false.
+   * @param {PackageCache} options.cache A cache for downloaded files. Files that can't change,
+   * such as files of a pinned commit or micropython-lib files, are only downloaded once.
+   * Other files are always downloaded but taken from the cache when the host can't be reached.
+   * @param {HostAdapterRegistry|Array<Object>} options.hosts The configured code hosting services
+   * in addition to GitHub, GitLab and Bitbucket. See createHostAdapter() for the configuration format
+   * e.g. [{ type: 'gitlab', scheme: 'corp', baseUrl: 'https://gitlab.example.com' }]
+   * @param {AuthTokens|Object<string, string>} options.tokens The access tokens for private repositories
+   * keyed by host scheme e.g. { github: 'ghp_...', gitlab: 'glpat-...' }.
+   * Defaults to the environment variables of the hosts e.g. GITHUB_TOKEN and GITLAB_TOKEN.
+   * @param {Array<string>} options.indexes The package indexes official packages are downloaded from.
+   * Each index is either a URL or the path of a local directory mirroring an index
+   * in the 'package/<format>/<name>/<version>.json' and 'file/xx/<hash>' layout.
+   * If a package or file can't be fetched from an index, the next one is tried.
+   * Defaults to a comma separated list in the UPY_PACKAGER_INDEX environment variable or https://micropython.org/pi/v2
+   * @param {Object} options.compileOptions The mpy-cross options passed to the processFileCallback
+   * e.g. { optimizationLevel: 3, emit: 'native' }. They override the options in the 'compileOptions' section
+   * of a package.json file but not the ones of individual files. See getCompileOptions().
+   * @param {ProgressReporter} options.reporter The reporter for 'resolve', 'download' and 'package' events.
+   * Defaults to a ConsoleReporter.
+   * @param {AbortSignal} options.signal A signal to cancel the archiving. Running requests are aborted,
+   * temporary files are removed and archiveRepository() rejects with the reason of the signal.
    */
-  constructor(repoUrl, version = null, mpyFormat = null, customPackageJson = null,) {
+  constructor(repoUrl, version = null, mpyFormat = null, customPackageJson = null, options = {}) {
     this.repoUrl = repoUrl;
     this.customPackageJson = customPackageJson;
     this.version = version;
     this.mpyFormat = mpyFormat;
+    this.lockfile = options.lockfile || null;
+    this.createLockfile = options.createLockfile ?? false;
+    this.cache = options.cache || null;
+    this.hostAdapters = options.hosts instanceof HostAdapterRegistry ? options.hosts : new HostAdapterRegistry(options.hosts);
+    this.authTokens = options.tokens instanceof AuthTokens ? options.tokens : new AuthTokens(options.tokens, this.hostAdapters);
+    this.indexes = options.indexes?.length > 0 ? options.indexes : (process.env.UPY_PACKAGER_INDEX?.split(',') || [MICROPYTHON_LIB_INDEX]);
+    this.compileOptions = options.compileOptions || {};
+    this.reporter = options.reporter || new ConsoleReporter();
+    this.signal = options.signal || null;
+
+    // Commit SHAs of already pinned repository versions keyed by 'repository@version'
+    this.pinnedVersions = new Map();
+    // Source URL and hash of every downloaded file keyed by its target path
+    this.downloadedFiles = new Map();
+    // Compile options of the processed files keyed by their target path
+    this.usedCompileOptions = {};
+  }
+
+  /**
+   * Parses a repository URL in the format 'github:owner/repo/path/file.ext', 'gitlab:owner/repo/path/file.ext',
+   * https://github.com/owner/repo/path/file.ext or https://gitlab.com/owner/repo/path/file.ext
+   * or a URL of another configured host.
+   * @param {string} url The repository URL to parse
+   * @returns {Object} An object with the properties 'host' (the scheme of the host e.g. 'github'), 'owner', 'repo', 'path'
+   * and 'adapter' or null if the URL doesn't point to a repository of a configured host.
+   */
+  parseRepositoryUrl(url) {
+    return this.hostAdapters.parseRepositoryUrl(url);
+  }
+
+  /**
+   * Determines if the content behind the given URL can never change.
+   * This is the case for files of a specific commit and for files of the micropython-lib index
+   * which are addressed by their hash.
+   * @param {string} url The URL to check
+   * @returns {boolean} True if the content is immutable
+   */
+  isImmutableUrl(url) {
+    return /\/[0-9a-f]{40}\//.test(url) || /[?&]ref=[0-9a-f]{40}(&|$)/.test(url) || this.indexes.some(index => url.startsWith(this.getIndexFileUrl(index, 'file/')));
+  }
+
+  /**
+   * Fetches the content of the given URL.
+   * If a cache is configured, immutable content is taken from the cache if available.
+   * All other content is fetched and stored in the cache so that it can be used
+   * when the host can't be reached.
+   * If an access token is configured for the host, it's sent along with the request.
+   * @param {string} url The URL to fetch
+   * @param {Object} fetchOptions Additional options passed to fetch()
+   * @returns {Promise<Buffer>} The content
+   * @throws {Error} If the content cannot be fetched
+   */
+  async fetchContent(url, fetchOptions = {}) {
+    if (isLocalPackage(url)) {
+      // Local files change while a library is being developed so they are never cached
+      return fs.readFile(getLocalPath(url));
+    }
+
+    const immutable = this.isImmutableUrl(url);
+    if (this.cache && immutable) {
+      const cachedContent = await this.cache.getContent('download', [url]);
+      if (cachedContent) return cachedContent;
+    }
+
+    const headers = { ...fetchOptions.headers, ...this.authTokens.getHeaders(url) };
+    const signals = [fetchOptions.signal, this.signal].filter(Boolean);
+    const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+    let response;
+    try {
+      response = await fetch(url, { ...fetchOptions, headers, signal });
+    } catch (error) {
+      this.signal?.throwIfAborted();
+      // The host can't be reached. Fall back to the last downloaded content if there is one.
+      const cachedContent = this.cache ? await this.cache.getContent('download', [url]) : null;
+      if (!cachedContent) throw new Error(this.authTokens.redact(error.message));
+      const redactedUrl = this.authTokens.redact(url);
+      this.reporter.report({ phase: 'download', status: 'warning', url: redactedUrl, message: `Using cached content of ${redactedUrl}: ${this.authTokens.redact(error.message)}` });
+      return cachedContent;
+    }
+
+    if (!response.ok) {
+      const service = this.authTokens.getService(url);
+      if ([401, 403, 404].includes(response.status) && service && !this.authTokens.getToken(service)) {
+        throw new Error(`${response.statusText}. If the repository is private, an access token for ${service} is required.`);
+      }
+      if ([401, 403, 404].includes(response.status) && service && Object.keys(this.authTokens.getHeaders(url)).length === 0) {
+        throw new Error(`${response.statusText}. The access token for ${service} isn't allowed for this repository.`);
+      }
+      throw new Error(response.statusText);
+    }
+    const content = Buffer.from(await response.arrayBuffer());
+    if (this.cache) {
+      await this.cache.putContent('download', [url], content);
+    }
+    return content;
+  }
+
+  /**
+   * Resolves a branch name, tag or HEAD of a repository to the commit SHA it points to.
+   * @param {Object} repository The repository as returned by parseRepositoryUrl()
+   * @param {string} ref The branch name, tag or 'HEAD'
+   * @returns {Promise<string>} The commit SHA
+   * @throws {Error} If the reference cannot be resolved
+   */
+  async resolveCommit(repository, ref) {
+    const { host, owner, repo, adapter } = repository;
+
+    try {
+      const { url, headers } = adapter.getCommitRequest(repository, ref);
+      const content = await this.fetchContent(url, { headers, signal: AbortSignal.timeout(5000) });
+      return adapter.parseCommit(content);
+    } catch (error) {
+      throw new Error(`Failed to resolve version ${ref} of ${host}:${owner}/${repo}: ${this.authTokens.redact(error.message)}`);
+    }
+  }
+
+  /**
+   * Pins the given version of the repository the URL points to, to an exact commit SHA.
+   * Only applies when a lockfile is created. Otherwise the version is returned unchanged.
+   * URLs that don't point to a repository of a configured host can't be pinned.
+   * Their files are only protected by the hashes recorded in the lockfile.
+   * @param {string} url A repository or file URL
+   * @param {string} version The branch name, tag or 'HEAD'
+   * @returns {Promise<string>} The commit SHA or the unchanged version
+   */
+  async pinVersion(url, version) {
+    version ||= 'HEAD';
+    const repository = this.parseRepositoryUrl(url);
+    if (!this.createLockfile || !repository || /^[0-9a-f]{40}$/.test(version)) {
+      return version;
+    }
+
+    const repositoryKey = `${repository.host}:${repository.owner}/${repository.repo}@${version}`;
+    if (!this.pinnedVersions.has(repositoryKey)) {
+      // Store the promise so that concurrent downloads share the same request
+      this.pinnedVersions.set(repositoryKey, this.resolveCommit(repository, version));
+    }
+    return this.pinnedVersions.get(repositoryKey);
   }
 
   /**
    * Takes a repository URL in the format 'github:owner/repo/path/file.ext' 
    * or 'gitlab:owner/repo/path/file.ext' or https://github.com/owner/repo/path/file.ext
-   * and rewrites it to a URL
+   * or a URL of another configured host and rewrites it to a URL
    * providing the raw file content. e.g. 'https://raw.githubusercontent.com/owner/repo/HEAD/path/file.ext'
+   * Local paths are rewritten to absolute file:// URLs.
    * @param {string} url The repository URL to rewrite.
    * @param {string} branch The branch to use when rewriting the URL. Defaults to 'HEAD'.
    * @returns 
    */
   getRawFileURL(url, branch = 'HEAD') {
-    if(url.startsWith('https://github.com')){
-      url = url.replace('https://github.com/', 'github:');
-    } else if(url.startsWith('https://gitlab.com')){
-      url = url.replace('https://gitlab.com/', 'gitlab:');
+    if (isLocalPackage(url)) {
+      return pathToFileURL(getLocalPath(url)).href;
     }
 
-    if(!url.startsWith('github:') && !url.startsWith('gitlab:')){
+    const repository = this.parseRepositoryUrl(url);
+    if (!repository) {
+      if (!/^https?:\/\//.test(url)) {
+        throw new Error(`Unknown host in ${this.authTokens.redact(url)}. Hosts other than GitHub, GitLab and Bitbucket need to be configured.`);
+      }
       return url; // Assume it's already a raw file URL
     }
-    
-    const urlParts = url.slice(7).split('/'); // Remove the host part of the URL
-    const owner = urlParts[0];
-    const repoName = urlParts[1];
-    const path = urlParts.slice(2).join('/');
-
-    if (url.startsWith('github:')) {
-      return `https://raw.githubusercontent.com/${owner}/${repoName}/${branch}/${path}`;
-    } else if (url.startsWith('gitlab:')) {
-      return `https://gitlab.com/${owner}/${repoName}/-/raw/${branch}/${path}`;
-    }
-    return null;
+    const authenticated = this.authTokens.isAuthenticated(repository);
+    return repository.adapter.getRawFileUrl(repository, branch, authenticated);
   }
 
   /**
@@ -99,21 +375,107 @@ class RepositoryArchiver {
    * @returns 
    */
   async fetchPackageJson(repositoryUrl, branch) {
+    if (isLocalPackage(repositoryUrl)) {
+      return this.readLocalPackageJson(repositoryUrl);
+    }
     let url = repositoryUrl;
 
     if(!repositoryUrl.endsWith(".json")){
       url = repositoryUrl.endsWith("/") ? `${repositoryUrl}package.json` : `${repositoryUrl}/package.json`;
     }
-    const packageJsonUrl = this.getRawFileURL(url, branch);
+    const packageJsonUrl = this.getRawFileURL(url, await this.pinVersion(url, branch));
 
     try {
-      const response = await fetch(packageJsonUrl, { signal: AbortSignal.timeout(5000) });
-      if (!response.ok) {
-        throw new Error(`${response.statusText}`);
-      }
-      return await response.json();
+      const content = await this.fetchContent(packageJsonUrl, { signal: AbortSignal.timeout(5000) });
+      return JSON.parse(content.toString());
     } catch (error) {
-      throw new Error('Failed to fetch package.json: ' + error.message);
+      throw new Error('Failed to fetch package.json: ' + this.authTokens.redact(error.message));
+    }
+  }
+
+  /**
+   * Determines the path of the package.json file of a local package
+   * @param {string} packageUrl The path of a local directory containing a package.json file,
+   * the path of the package.json file itself or a file:// URL pointing to either of them.
+   * @returns {string} The absolute path of the package.json file
+   */
+  getLocalPackageJsonPath(packageUrl) {
+    const localPath = getLocalPath(packageUrl);
+    return localPath.endsWith('.json') ? localPath : path.join(localPath, 'package.json');
+  }
+
+  /**
+   * Reads the package.json file of a local package.
+   * Relative file URLs and dependency paths are resolved relative to the directory of the package.json file.
+   * @param {string} packageUrl The path of a local directory containing a package.json file,
+   * the path of the package.json file itself or a file:// URL pointing to either of them.
+   * @returns {Promise<Object>} The package.json object
+   * @throws {Error} If the package.json file cannot be read
+   */
+  async readLocalPackageJson(packageUrl) {
+    const packageJsonPath = this.getLocalPackageJsonPath(packageUrl);
+    let packageJson;
+    try {
+      packageJson = await fs.readJson(packageJsonPath);
+    } catch (error) {
+      throw new Error(`Failed to read package.json: ${error.message}`);
+    }
+    return this.resolveLocalReferences(path.dirname(packageJsonPath), packageJson);
+  }
+
+  /**
+   * Resolves the relative file URLs and dependency paths of a local package
+   * to absolute file:// URLs so that they don't depend on the current working directory.
+   * @param {string} packageDirectory The directory of the local package
+   * @param {Object} packageJson The package.json object of the local package
+   * @returns {Object} A copy of the package.json object with resolved URLs
+   */
+  resolveLocalReferences(packageDirectory, packageJson) {
+    const isRelativePath = (url) => !url.startsWith('file://') && (isLocalPackage(url) || !isCustomPackage(url));
+    const toFileUrl = (url) => pathToFileURL(path.resolve(packageDirectory, url)).href;
+
+    const resolvedPackageJson = { ...packageJson };
+    if (packageJson.urls) {
+      resolvedPackageJson.urls = packageJson.urls.map(([targetPath, url]) => [targetPath, isRelativePath(url) ? toFileUrl(url) : url]);
+    }
+    if (packageJson.deps) {
+      // Dependencies without a path prefix are names of official packages
+      resolvedPackageJson.deps = packageJson.deps.map(([url, ...rest]) => [isLocalPackage(url) && !url.startsWith('file://') ? toFileUrl(url) : url, ...rest]);
+    }
+    return resolvedPackageJson;
+  }
+
+  /**
+   * Ensures that the expected file hashes of a package are sha256 hashes or hex prefixes
+   * of at least MIN_HASH_PREFIX_LENGTH characters. Shorter prefixes would match too much arbitrary content.
+   * @param {string} packageUrl The URL or name of the package
+   * @param {Object} packageJson The package.json object of the package
+   * @throws {Error} If the package.json contains a malformed hash
+   */
+  assertValidHashes(packageUrl, packageJson) {
+    const invalidEntry = (packageJson.hashes || []).find(entry => typeof entry?.[1] !== 'string' || !HASH_PREFIX_PATTERN.test(entry[1]));
+    if (invalidEntry) {
+      throw new Error(`Malformed package.json of ${this.authTokens.redact(packageUrl)}: the hash of ${invalidEntry[0]} must be a hex string of ${MIN_HASH_PREFIX_LENGTH} to 64 characters, got ${JSON.stringify(invalidEntry[1])}`);
+    }
+  }
+
+  /**
+   * Ensures that a remote package doesn't reference files or packages on the local file system.
+   * Otherwise a package.json file from the internet could read arbitrary local files.
+   * @param {string} packageUrl The URL of the package
+   * @param {Object} packageJson The package.json object of the package
+   * @throws {Error} If a remote package references a local path
+   */
+  assertNoLocalReferences(packageUrl, packageJson) {
+    if (isLocalPackage(packageUrl)) return;
+
+    const references = [
+      ...(packageJson.urls || []).map(entry => entry[1]),
+      ...(packageJson.deps || []).map(entry => entry[0])
+    ];
+    const localReference = references.find(url => isLocalPackage(url));
+    if (localReference) {
+      throw new Error(`Package ${packageUrl} must not reference the local path ${localReference}`);
     }
   }
 
@@ -121,37 +483,64 @@ class RepositoryArchiver {
    * Downloads a file from the given source URL and saves it to the target directory
    * The target path is taken from the fileInfo array and will be reflected
    * eventually on the board when extracting the archive.
-   * @param {Array} fileInfo The file info array containing the target path and the source URL
-   * The format is [targetRelativePath, sourceUrl] e.g. ['modulino/__init__.py', 'github:arduino/modulino-mpy/src/modulino/__init__.py']
+   * @param {Array} fileInfo The file info array containing the target path, the source URL and optionally
+   * the expected sha256 hash of the file or a prefix of it with at least MIN_HASH_PREFIX_LENGTH hex characters.
+   * The format is [targetRelativePath, sourceUrl, expectedHash] e.g. ['modulino/__init__.py', 'github:arduino/modulino-mpy/src/modulino/__init__.py']
    * @param {string} targetDirectory The local directory to save the file to.
    * @param {string} version The version to use when downloading the file.
    * This does not apply when downloading files from the official micropython-lib index which
    * use a different versioning scheme.
    * @param {async function} processFileCallback An async callback function to process the downloaded file.
-   * The callback takes a file path as argument and should return a new file path.
+   * The callback takes a file path, the base path and the compile options as arguments and should return a new file path.
+   * @param {Object} compileOptions The compile options of the file passed to the callback. See getCompileOptions().
+   * @param {boolean} resolved Whether the source URL is already the raw file URL of a pinned version
+   * e.g. the URL recorded in a lockfile. It's then fetched as it is and the version is ignored.
+   * @throws {Error} If the file cannot be downloaded or doesn't match the expected or locked hash
    */
-  async downloadFile(fileInfo, targetDirectory, version = null, processFileCallback = null) {
-    const [targetRelativePath, sourceUrl] = fileInfo;
-    const rawUrl = this.getRawFileURL(sourceUrl, version);
+  async downloadFile(fileInfo, targetDirectory, version = null, processFileCallback = null, compileOptions = {}, resolved = false) {
+    this.signal?.throwIfAborted();
+    const [targetRelativePath, sourceUrl, expectedHash] = fileInfo;
+    if (expectedHash && !HASH_PREFIX_PATTERN.test(expectedHash)) {
+      throw new Error(`Malformed hash for ${targetRelativePath}: expected a hex string of ${MIN_HASH_PREFIX_LENGTH} to 64 characters, got ${expectedHash}`);
+    }
+    const rawUrl = resolved ? sourceUrl : this.getRawFileURL(sourceUrl, await this.pinVersion(sourceUrl, version));
     const filePath = path.join(targetDirectory, targetRelativePath);
     await fs.ensureDir(path.dirname(filePath));
 
-    const response = await fetch(rawUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to download file ${sourceUrl}: ${response.statusText}`);
+    const redactedUrl = this.authTokens.redact(rawUrl);
+    try {
+      const content = await this.fetchContent(rawUrl);
+      await fs.writeFile(filePath, content);
+      this.reporter.report({ phase: 'download', status: 'end', file: targetRelativePath, url: redactedUrl, bytes: content.length, message: `File downloaded: ${targetRelativePath} (${content.length} bytes)` });
+    } catch (error) {
+      throw new Error(`Failed to download file ${this.authTokens.redact(sourceUrl)}: ${this.authTokens.redact(error.message)}`);
     }
 
-    const writer = fs.createWriteStream(filePath);
-    await pipe(response.body, writer);
+    const fileHash = await calculateFileHash(filePath);
+    // The index and package.json files may only contain a prefix of the hash
+    if (expectedHash && !fileHash.startsWith(expectedHash.toLowerCase())) {
+      await fs.remove(filePath);
+      // Make sure a corrupted response isn't used again
+      await this.cache?.remove('download', [rawUrl]);
+      throw new Error(`Hash mismatch for ${targetRelativePath} downloaded from ${this.authTokens.redact(rawUrl)}: expected ${expectedHash}, got ${fileHash}`);
+    }
+    const lockedFileHash = this.lockfile?.getFileHash(targetRelativePath);
+    if (lockedFileHash && lockedFileHash !== fileHash) {
+      throw new Error(`Hash mismatch for ${targetRelativePath} downloaded from ${this.authTokens.redact(rawUrl)}: expected ${lockedFileHash}, got ${fileHash}`);
+    }
+    this.downloadedFiles.set(targetRelativePath, { url: rawUrl, sha256: fileHash });
 
     if (processFileCallback) {  
       const targetRelativePathPlatform = targetRelativePath.replace(/\//g, path.sep);
       const basePath = filePath.replace(targetRelativePathPlatform, '');      
-      const newFilePath = await processFileCallback(filePath, basePath);
+      const newFilePath = await processFileCallback(filePath, basePath, compileOptions);
       if (newFilePath && filePath !== newFilePath) {
         // If the processed file has a different path
         // delete the original file.
         await fs.remove(filePath);
+        if (Object.keys(compileOptions).length > 0) {
+          this.usedCompileOptions[targetRelativePath] = compileOptions;
+        }
       }
 
       return newFilePath;
@@ -160,6 +549,26 @@ class RepositoryArchiver {
     return filePath;
   }
 
+  /**
+   * Determines the compile options of a file. The options of the 'compileOptions' section of the package.json file
+   * are overridden by the options passed to the archiver which in turn are overridden by the options
+   * of the individual file listed in the 'files' property of the section e.g.
+   * "compileOptions": { "optimizationLevel": 3, "files": { "mylib/fast.py": { "emit": "viper" } } }
+   * @param {Object} packageJson The package.json object of the package the file belongs to or null
+   * @param {string} targetPath The target path of the file e.g. 'mylib/fast.py'
+   * @returns {Object} The compile options. Options that are null or undefined are omitted.
+   */
+  getCompileOptions(packageJson, targetPath) {
+    const { files = {}, ...packageOptions } = packageJson?.compileOptions || {};
+    const compileOptions = {};
+    for (const options of [packageOptions, this.compileOptions, files[targetPath]]) {
+      for (const [name, value] of Object.entries(options || {})) {
+        if (value !== null && value !== undefined) compileOptions[name] = value;
+      }
+    }
+    return compileOptions;
+  }
+
   /**
    * Creates a tar.gz archive from the given source directory
    * and saves it to the target path
@@ -167,12 +576,32 @@ class RepositoryArchiver {
    * @param {string} targetPath The path to save the archive to
    */
   async createTarGzArchive(sourceDirectory, targetPath) {
+    // The archive needs to be reproducible when created from a lockfile.
+    // Therefore entries are added in a fixed order and without any system-specific metadata.
+    const files = await listFilesRecursive(sourceDirectory);
+    const directories = new Set();
+    for (const file of files) {
+      const parts = file.split('/').slice(0, -1);
+      parts.forEach((part, index) => directories.add(parts.slice(0, index + 1).join('/')));
+    }
+    for (const directory of directories) {
+      await fs.chmod(path.join(sourceDirectory, directory), 0o755);
+    }
+    for (const file of files) {
+      await fs.chmod(path.join(sourceDirectory, file), 0o644);
+    }
+    // Directories are sorted before their content so that they are created first when extracting
+    const entries = [...[...directories].map(directory => `${directory}/`), ...files].sort();
+
     const tarStream = tar.c(
       {
         // Make gzip use highest compression level
         gzip: { level: 9 },
         cwd: sourceDirectory,
-      }, ['.']
+        portable: true,
+        mtime: new Date(0),
+        noDirRecurse: true,
+      }, entries
     );
 
     const writeStream = fs.createWriteStream(targetPath);
@@ -185,6 +614,11 @@ class RepositoryArchiver {
    * @returns {string} Repository name
    */
   getRepoName() {
+    if (isLocalPackage(this.repoUrl)) {
+      const localPath = getLocalPath(this.repoUrl);
+      const isFile = localPath.endsWith('.py') || localPath.endsWith('.mpy');
+      return path.basename(isFile ? localPath : path.dirname(this.getLocalPackageJsonPath(this.repoUrl)));
+    }
     // Remove trailing slashes e.g. in https://github.com/arduino/upy-packager/
     const normalizedRepoUrl = this.repoUrl.replace(/\/$/, '');
     return normalizedRepoUrl.split('/').slice(-1)[0].replace('.git', '');
@@ -202,7 +636,154 @@ class RepositoryArchiver {
   }
 
   /**
-   * Downloads files from the given URL and version.
+   * Fetches the package.json object of the given package without downloading any of its files.
+   * For official micropython-lib packages the package file from the index is returned.
+   * For direct links to single files a package.json-like object is created.
+   * @param {string} url The URL of the repository in https:// or github: or gitlab: format or a package name from the official micropython-lib index.
+   * @param {string} version The release version. Works with branch names and release tags.
+   * @returns {Promise<Object>} The package.json object containing the URLs and dependencies.
+   */
+  async fetchPackageDescriptor(url, version) {
+    if (!isCustomPackage(url)) {
+      const indexPackageJson = await this.fetchIndexPackageJson(url, version);
+      this.assertValidHashes(url, indexPackageJson);
+      return indexPackageJson;
+    }
+    if (url.endsWith(".py") || url.endsWith(".mpy")) {
+      return { urls: [[path.basename(url), url]] };
+    }
+    this.reporter.report({ phase: 'resolve', status: 'progress', package: this.authTokens.redact(url), version, message: `Fetching package.json from ${this.authTokens.redact(url)}...` });
+    const packageJson = await this.fetchPackageJson(url, version || 'HEAD');
+    this.assertNoLocalReferences(url, packageJson);
+    this.assertValidHashes(url, packageJson);
+    return packageJson;
+  }
+
+  /**
+   * Resolves the dependency graph of the given package.
+   * Shared dependencies are de-duplicated, version conflicts and dependency cycles
+   * are reported before any file is downloaded.
+   * @param {string} url The URL of the repository in https:// or github: or gitlab: format or a package name from the official micropython-lib index.
+   * @param {string} version The release version. Works with branch names and release tags.
+   * @param {Object} customPackageJson A custom package.json object to use instead of fetching it from the repository.
+   * @returns {Promise<DependencyGraph>} The resolved dependency graph
+   * @throws {DependencyResolutionError} If there are version conflicts or dependency cycles
+   */
+  async resolveDependencies(url, version, customPackageJson = null) {
+    this.reporter.report({ phase: 'resolve', status: 'start', package: this.authTokens.redact(url), version, message: `Resolving dependencies of ${this.authTokens.redact(url)}...` });
+    if (customPackageJson) {
+      if (isLocalPackage(url)) {
+        const packageDirectory = path.dirname(this.getLocalPackageJsonPath(url));
+        customPackageJson = this.resolveLocalReferences(packageDirectory, customPackageJson);
+      }
+      this.assertNoLocalReferences(url, customPackageJson);
+      this.assertValidHashes(url, customPackageJson);
+    }
+    const resolver = new DependencyResolver(
+      (packageUrl, packageVersion) => this.fetchPackageDescriptor(packageUrl, packageVersion),
+      (packageUrl) => this.hostAdapters.normalizeUrl(packageUrl)
+    );
+    const dependencyGraph = await resolver.resolve(url, version, customPackageJson);
+    const packageCount = dependencyGraph.getPackages().length;
+    this.reporter.report({ phase: 'resolve', status: 'end', package: this.authTokens.redact(url), version, packageCount, message: `Resolved ${packageCount} package(s)` });
+    return dependencyGraph;
+  }
+
+  /**
+   * Downloads the files of all packages in the given dependency graph.
+   * @param {DependencyGraph} dependencyGraph The resolved dependency graph
+   * @param {string} targetDirectory The directory to save the files to.
+   * @param {async function} processFileCallback An async callback function to process the downloaded file.
+   * The callback takes a file path as argument and should return a new file path.
+   * @returns {Promise<Array>} An array of package.json objects containing the URLs and dependencies.
+   * The first entry belongs to the root package.
+   * @throws {Error} If an error occurs during the download process or if two packages contain the same file.
+   */
+  async downloadResolvedPackages(dependencyGraph, targetDirectory, processFileCallback = null) {
+    const packageJsonFiles = [];
+    const fileOwners = new Map();
+
+    for (const resolvedPackage of dependencyGraph.getPackages()) {
+      // Files of different packages must not silently overwrite each other
+      for (const targetPath of this.getPackageFiles(resolvedPackage.packageJson)) {
+        const owner = fileOwners.get(targetPath);
+        if (owner && owner !== resolvedPackage.label) {
+          throw new Error(`File '${targetPath}' is provided by both ${owner} and ${resolvedPackage.label}`);
+        }
+        fileOwners.set(targetPath, resolvedPackage.label);
+      }
+
+      let packageJson;
+      if (isCustomPackage(resolvedPackage.url)) {
+        packageJson = await this.downloadFilesFromRepository(resolvedPackage.url, resolvedPackage.version, targetDirectory, resolvedPackage.packageJson, processFileCallback);
+      } else {
+        packageJson = await this.downloadFilesFromIndex(resolvedPackage.url, resolvedPackage.version, targetDirectory, resolvedPackage.packageJson);
+      }
+      packageJsonFiles.push(packageJson);
+    }
+    return packageJsonFiles;
+  }
+
+  /**
+   * Downloads the files of all packages in the dependency graph of a lockfile from their pinned URLs.
+   * The recorded raw file URLs are fetched as they are. Every downloaded file is checked against the hash recorded in the lockfile.
+   * Files of official micropython-lib packages are not processed as they are downloaded in the right format already.
+   * @param {DependencyGraph} dependencyGraph The dependency graph created from the lockfile
+   * @param {string} targetDirectory The directory to save the files to.
+   * @param {async function} processFileCallback An async callback function to process the downloaded file.
+   * The callback takes a file path as argument and should return a new file path.
+   * @returns {Promise<Array>} An array of package.json objects containing the URLs.
+   * The first entry belongs to the root package.
+   */
+  async downloadLockedPackages(dependencyGraph, targetDirectory, processFileCallback = null) {
+    const packageJsonFiles = [];
+
+    for (const lockedPackage of dependencyGraph.getPackages()) {
+      const callback = isCustomPackage(lockedPackage.url) ? processFileCallback : null;
+      const downloadPromises = lockedPackage.packageJson.urls.map(entry => {
+        // The lockfile records the raw file URLs of the pinned versions
+        return this.downloadFile(entry, targetDirectory, lockedPackage.resolvedVersion, callback, this.getCompileOptions(lockedPackage.packageJson, entry[0]), true);
+      });
+      const downloadedFiles = await Promise.all(downloadPromises);
+
+      packageJsonFiles.push({
+        ...lockedPackage.packageJson,
+        urls: downloadedFiles.map(filePath => [path.relative(targetDirectory, filePath).replace(/\\/g, '/'), filePath])
+      });
+    }
+    return packageJsonFiles;
+  }
+
+  /**
+   * Creates a lockfile from the resolved dependency graph and the downloaded files.
+   * @param {DependencyGraph} dependencyGraph The resolved dependency graph
+   * @returns {Promise<Lockfile>} The lockfile
+   */
+  async createLockfileFromGraph(dependencyGraph) {
+    const lockfile = new Lockfile();
+    lockfile.root = dependencyGraph.rootKey;
+
+    for (const resolvedPackage of dependencyGraph.getPackages()) {
+      if (isLocalPackage(resolvedPackage.url)) {
+        // Local packages aren't versioned. Their files are only protected by the recorded hashes.
+        resolvedPackage.resolvedVersion = null;
+      } else if (isCustomPackage(resolvedPackage.url)) {
+        resolvedPackage.resolvedVersion = await this.pinVersion(resolvedPackage.url, resolvedPackage.version);
+      } else {
+        resolvedPackage.resolvedVersion = resolvedPackage.packageJson.version || resolvedPackage.version;
+      }
+
+      const files = this.getPackageFiles(resolvedPackage.packageJson).map(targetPath => {
+        const downloadedFile = this.downloadedFiles.get(targetPath);
+        return { path: targetPath, url: downloadedFile.url, sha256: downloadedFile.sha256 };
+      });
+      lockfile.addPackage(resolvedPackage, files);
+    }
+    return lockfile;
+  }
+
+  /**
+   * Downloads files from the given URL and version including the files of all dependencies.
    * If it's a custom package, it downloads the files from the repository, if it's an official micropython-lib package,
    * it downloads the files from the official micropython-lib index.
    * @param {string} url The URL of the repository in https:// or github: or gitlab: format or a package name from the official micropython-lib index.
@@ -218,57 +799,92 @@ class RepositoryArchiver {
    * @throws {Error} If an error occurs during the download process.
    */
   async downloadFilesFromUrl(url, version, targetDirectory, customPackageJson = null, processFileCallback = null) {
-    let packageJsonFiles = [];
-    let packageJson  
-    if (isCustomPackage(url)) {
-      packageJson = await this.downloadFilesFromRepository(url, version, targetDirectory, customPackageJson, processFileCallback);
-    } else {
-      packageJson = await this.downloadFilesFromIndex(url, version, targetDirectory);
+    const dependencyGraph = await this.resolveDependencies(url, version, customPackageJson);
+    return this.downloadResolvedPackages(dependencyGraph, targetDirectory, processFileCallback);
+  }
+
+  /**
+   * Creates the URL of a file in a package index
+   * @param {string} index The URL of the index or the path of a local index mirror
+   * @param {string} relativePath The path of the file in the index e.g. 'package/6/senml/latest.json'
+   * @returns {string} The URL of the file. Files of local mirrors are referenced by a file:// URL.
+   */
+  getIndexFileUrl(index, relativePath) {
+    if (isLocalPackage(index)) {
+      return pathToFileURL(path.join(getLocalPath(index), relativePath)).href;
     }
-    packageJsonFiles.push(packageJson);
+    return `${index.replace(/\/+$/, '')}/${relativePath}`;
+  }
 
-    if (packageJson.deps) {
-      for (const dep of packageJson.deps) {
-        const [depUrl, depVersion] = dep;
-        const depPackageJsonFiles = await this.downloadFilesFromUrl(depUrl, depVersion, targetDirectory, null, processFileCallback); 
-        packageJsonFiles.push(...depPackageJsonFiles);        
+  /**
+   * Calls the given function with each configured index until it succeeds
+   * @param {async function} operation An async function that takes the index as argument
+   * @returns {Promise<any>} The result of the first successful call
+   * @throws {Error} An error listing the failure of every index if all of them failed
+   */
+  async tryIndexes(operation) {
+    const failures = [];
+    for (const index of this.indexes) {
+      try {
+        return await operation(index);
+      } catch (error) {
+        // Don't try the next index after a cancellation
+        this.signal?.throwIfAborted();
+        failures.push(`${this.authTokens.redact(index)}: ${error.message}`);
       }
     }
-    return packageJsonFiles;
+    throw new Error(failures.join('; '));
   }
 
-
   /**
-   * Downloads files from the official micropython-lib index
-   * Doesn't support file processing as official micropython-lib packages are already in .mpy format
-   * @param {string} packageName The name of the package to download e.g. 'senml'
-   * @param {string} version The version of the package to download e.g. '1.0.0'
-   * @param {string} targetDirectory The directory to save the files to.
-   * Subdirectories will be created for the package if specified in the package file.
+   * Fetches the package file of an official package from the configured package indexes
+   * @param {string} packageName The name of the package e.g. 'senml'
+   * @param {string} version The version of the package e.g. '1.0.0'. Defaults to the latest version.
+   * @returns {Promise<Object>} The package file containing the file hashes and dependencies.
    */
-  async downloadFilesFromIndex(packageName, version, targetDirectory){
+  async fetchIndexPackageJson(packageName, version) {
     version = version === "HEAD" ? "latest" : version; // HEAD branch is treated as latest version
     version ||= 'latest'; // Default to latest version
     const mpyFormat = this.mpyFormat || 'py'; // Use plain .py format unless mpy format is specified
-    console.debug(`🌐 Downloading package '${packageName}' ${version} from ${MICROPYTHON_LIB_INDEX}...`);
-    const packageURL = `${MICROPYTHON_LIB_INDEX}/package/${mpyFormat}/${packageName}/${version}.json`;
-    const response = await fetch(packageURL);
-    let packageJson;
+    const packagePath = `package/${mpyFormat}/${packageName}/${version}.json`;
 
     try {
-      if (!response.ok) {
-        throw new Error(response.statusText);
-      }
-      packageJson = await response.json();
+      return await this.tryIndexes(async (index) => {
+        const content = await this.fetchContent(this.getIndexFileUrl(index, packagePath));
+        return JSON.parse(content.toString());
+      });
     } catch (error) {
       throw new Error('Failed to fetch package index: ' + error.message);
     }
+  }
+
+  /**
+   * Downloads files from the configured package indexes
+   * Doesn't support file processing as official micropython-lib packages are already in .mpy format
+   * @param {string} packageName The name of the package to download e.g. 'senml'
+   * @param {string} version The version of the package to download e.g. '1.0.0'
+   * @param {string} targetDirectory The directory to save the files to.
+   * Subdirectories will be created for the package if specified in the package file.
+   * @param {Object} packageJson The package file from the index if it was already fetched.
+   * @returns {Promise<Object>} The package file containing the file hashes and dependencies.
+   */
+  async downloadFilesFromIndex(packageName, version, targetDirectory, packageJson = null){
+    this.reporter.report({
+      phase: 'download', status: 'start', package: packageName, version: version || 'latest',
+      message: `Downloading package '${packageName}' ${version || 'latest'} from ${this.indexes.map(index => this.authTokens.redact(index)).join(', ')}...`
+    });
+    packageJson ||= await this.fetchIndexPackageJson(packageName, version);
 
-    const downloadPromises = packageJson.hashes.map(hashData => {
+    const downloadPromises = packageJson.hashes.map(async hashData => {
       const [targetPath, hash] = hashData;
-      const fileURL = `${MICROPYTHON_LIB_INDEX}/file/${hash.slice(0, 2)}/${hash}`;
-      const fileInfo = [targetPath, fileURL];
-      return this.downloadFile(fileInfo, targetDirectory);
+      try {
+        return await this.tryIndexes(index => {
+          const fileURL = this.getIndexFileUrl(index, `file/${hash.slice(0, 2)}/${hash}`);
+          return this.downloadFile([targetPath, fileURL, hash], targetDirectory);
+        });
+      } catch (error) {
+        throw new Error(`Failed to download file ${targetPath}: ${error.message}`);
+      }
     });
     await Promise.all(downloadPromises);
     return packageJson;
@@ -290,24 +906,29 @@ class RepositoryArchiver {
    */
   async downloadFilesFromRepository(repoUrl, version, targetDirectory, customPackageJson = null, processFileCallback = null) {
     version ||= 'HEAD'; // Defaults to HEAD branch
-    console.debug(`🌐 Downloading files from ${repoUrl} version ${version}...`);
+    this.reporter.report({ phase: 'download', status: 'start', package: this.authTokens.redact(repoUrl), version, message: `Downloading files from ${this.authTokens.redact(repoUrl)} version ${version}...` });
     let packageJson;
 
     if(repoUrl.endsWith(".py") || repoUrl.endsWith(".mpy")){
       // Direct link to a file, will be downloaded to the root of the target directory
       const fileInfo = [path.basename(repoUrl), repoUrl];
       // Use the new file path in case the file is processed e.g. compiled and thus has a .mpy extension
-      const newFilePath = await this.downloadFile(fileInfo, targetDirectory, version, processFileCallback);
+      const newFilePath = await this.downloadFile(fileInfo, targetDirectory, version, processFileCallback, this.getCompileOptions(null, fileInfo[0]));
       return { urls: [[path.basename(newFilePath), repoUrl]] }; // Return a package.json-like object
     }
 
     if (customPackageJson) {
-      packageJson = customPackageJson;
+      // Copy the object as the URLs get adjusted below
+      packageJson = { ...customPackageJson };
     } else {
-      console.debug('🌐 Fetching package.json...');
+      this.reporter.report({ phase: 'download', status: 'progress', package: this.authTokens.redact(repoUrl), version, message: 'Fetching package.json...' });
       packageJson = await this.fetchPackageJson(repoUrl, version);
     }
-    const downloadPromises = packageJson.urls.map(entry => this.downloadFile(entry, targetDirectory, version, processFileCallback));
+    // The optional 'hashes' of a custom package contain the expected hashes of the files listed in 'urls'
+    const expectedHashes = new Map(packageJson.hashes || []);
+    const downloadPromises = packageJson.urls.map(([targetPath, url]) => {
+      return this.downloadFile([targetPath, url, expectedHashes.get(targetPath)], targetDirectory, version, processFileCallback, this.getCompileOptions(packageJson, targetPath));
+    });
     const downloadedFiles = await Promise.all(downloadPromises);
     
     // Adjust urls in the package.json object to reflect the potential new file paths
@@ -334,15 +955,29 @@ class RepositoryArchiver {
    * @throws {Error} If an error occurs during the archiving process.
    */
   async archiveRepository(processFileCallback = null, targetDirectory = null) {
+    const isTemporaryTargetDirectory = !targetDirectory;
     if(!targetDirectory){
       targetDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'mpy-package-archive-'));
     }
+    let downloadedFilesDirectory = null;
+    let tarGzPath = null;
 
     try {
       // Create a temporary directory for downloaded files
-      const downloadedFilesDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'downloaded_files-'));
+      downloadedFilesDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'downloaded_files-'));
             
-      const allPackageJsonData = await this.downloadFilesFromUrl(this.repoUrl, this.version, downloadedFilesDirectory, this.customPackageJson, processFileCallback);
+      let dependencyGraph;
+      let allPackageJsonData;
+
+      if (this.lockfile) {
+        this.reporter.report({ phase: 'resolve', status: 'info', lockfile: true, message: 'Using locked package versions...' });
+        this.lockfile.assertRoot(this.hostAdapters.normalizeUrl(this.repoUrl), this.version);
+        dependencyGraph = this.lockfile.toDependencyGraph();
+        allPackageJsonData = await this.downloadLockedPackages(dependencyGraph, downloadedFilesDirectory, processFileCallback);
+      } else {
+        dependencyGraph = await this.resolveDependencies(this.repoUrl, this.version, this.customPackageJson);
+        allPackageJsonData = await this.downloadResolvedPackages(dependencyGraph, downloadedFilesDirectory, processFileCallback);
+      }
       const mainPackageJson = allPackageJsonData[0]; // Use the first package.json file
 
       const allPackageFiles = allPackageJsonData.map(packageJsonData => this.getPackageFiles(packageJsonData)).flat();
@@ -351,25 +986,47 @@ class RepositoryArchiver {
       const repoVersion = this.version?.replace(/^v/, '') || 'HEAD';
       
       if(packageVersion && repoVersion != "HEAD" && packageVersion !== repoVersion){
-        console.warn(`👀 Version mismatch: package.json version ${packageVersion} does not match the provided version ${this.version}`);
+        this.reporter.report({ phase: 'package', status: 'warning', message: `Version mismatch: package.json version ${packageVersion} does not match the provided version ${this.version}` });
       }
       
       const versionForTarFile = packageVersion || (repoVersion === "HEAD" ? 'latest' : repoVersion);
       const tarGzFileName = `${packageName}-${versionForTarFile}.tar.gz`;
-      const tarGzPath = path.join(targetDirectory, tarGzFileName);
+      tarGzPath = path.join(targetDirectory, tarGzFileName);
       
-      console.debug('📁 Creating tar.gz archive...');
+      this.reporter.report({ phase: 'package', status: 'progress', archivePath: tarGzPath, message: 'Creating tar.gz archive...' });
       await fs.ensureDir(targetDirectory);
       await this.createTarGzArchive(downloadedFilesDirectory, tarGzPath);      
+      this.signal?.throwIfAborted();
+
+      const archiveResult = new ArchiveResult(tarGzPath, allPackageFiles, packageName, versionForTarFile);
+      archiveResult.sourceUrl = this.repoUrl;
+      archiveResult.mpyFormat = this.mpyFormat;
+      // Sort the entries as the files are processed in parallel
+      archiveResult.compileOptions = Object.fromEntries(Object.entries(this.usedCompileOptions).sort(([a], [b]) => a.localeCompare(b)));
+      archiveResult.fileHashes = await calculateDirectoryHashes(downloadedFilesDirectory);
+      archiveResult.dependencyGraph = dependencyGraph;
+      archiveResult.lockfile = this.lockfile || (this.createLockfile ? await this.createLockfileFromGraph(dependencyGraph) : null);
 
       // Clean up: Remove the temporary directory
       await fs.remove(downloadedFilesDirectory);
-      return new ArchiveResult(tarGzPath, allPackageFiles);
+      return archiveResult;
     } catch (error) {
-      console.error('❌ Error:', error.message);
+      if (downloadedFilesDirectory) await fs.remove(downloadedFilesDirectory);
+      if (isTemporaryTargetDirectory) {
+        await fs.remove(targetDirectory);
+      } else if (tarGzPath) {
+        await fs.remove(tarGzPath);
+      }
+
+      if (this.signal?.aborted) {
+        // Report the cancellation instead of the error it caused somewhere in the pipeline
+        this.reporter.report({ phase: 'package', status: 'info', aborted: true, message: 'Archiving cancelled' });
+        throw this.signal.reason;
+      }
+      this.reporter.report({ phase: 'package', status: 'error', error, message: `Error: ${error.message}` });
       throw error;
     }
   }
 }
 
-export { RepositoryArchiver, ArchiveResult };
\ No newline at end of file
+export { RepositoryArchiver, ArchiveResult, MICROPYTHON_LIB_INDEX };
\ No newline at end of file
@@ -1,12 +1,66 @@
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
 /**
    * Determines if the given dependency URL is a custom package meaning
    * it doesn't refer to an official micropython-lib package.
    * @param {string} url A repository URL in the format 'github:owner/repo' or 'gitlab:owner/repo'
    * or 'http://example.com/folder' or 'https://github.com/owner/repo' or 'https://gitlab.com/owner/repo'
+   * or a local path such as './my-library' or 'file:///home/me/my-library'.
+   * Any other short scheme e.g. 'bitbucket:owner/repo' refers to a configured host.
+   * Names of official packages never contain a colon.
    * @returns True if the dependency URL is a custom package, false otherwise.
    */
 function isCustomPackage(url) {
-    return url.startsWith('github:') || url.startsWith('gitlab:') || url.startsWith('http://') || url.startsWith('https://');
+    return /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(url) || isLocalPackage(url);
+}
+
+/**
+ * Determines if the given URL refers to a package or file on the local file system.
+ * Local paths need to be absolute or start with './' or '../' to distinguish them
+ * from the names of official micropython-lib packages.
+ * @param {string} url A 'file://' URL or a local path e.g. './my-library' or '/home/me/my-library/package.json'
+ * @returns {boolean} True if the URL refers to the local file system, false otherwise.
+ */
+function isLocalPackage(url) {
+    if (url.startsWith('file://')) {
+        return true;
+    }
+    return url === '.' || url === '..' || /^\.{1,2}[\/\\]/.test(url) || path.isAbsolute(url) || /^[a-zA-Z]:[\/\\]/.test(url);
+}
+
+/**
+ * Converts a local package URL to an absolute path on the local file system
+ * @param {string} url A 'file://' URL or a local path. Relative paths are resolved
+ * against the current working directory.
+ * @returns {string} The absolute path
+ */
+function getLocalPath(url) {
+    return url.startsWith('file://') ? fileURLToPath(url) : path.resolve(url);
+}
+
+/**
+ * Normalizes the given package URL so that different notations of the same package
+ * can be identified. e.g. 'https://github.com/owner/repo/' and 'github:owner/repo/package.json'
+ * both become 'github:owner/repo'. Names of official micropython-lib packages are returned as they are.
+ * @param {string} url A repository URL or the name of an official package
+ * @returns {string} The normalized URL
+ */
+function normalizePackageUrl(url) {
+    if (!isCustomPackage(url)) {
+        return url;
+    }
+    if (isLocalPackage(url)) {
+        return pathToFileURL(getLocalPath(url)).href
+            .replace(/\/+$/, '')
+            .replace(/\/package\.json$/, '');
+    }
+    return url
+        .replace(/\/+$/, '')
+        .replace(/\/package\.json$/, '')
+        .replace(/\.git$/, '')
+        .replace(/^https:\/\/github\.com\//, 'github:')
+        .replace(/^https:\/\/gitlab\.com\//, 'gitlab:');
 }
 
-export { isCustomPackage };
\ No newline at end of file
+export { isCustomPackage, isLocalPackage, getLocalPath, normalizePackageUrl };
\ No newline at end of file
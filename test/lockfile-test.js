@@ -0,0 +1,84 @@
+import http from 'http';
+import { RepositoryArchiver } from "../logic/repository-archiver.js";
+import { SilentReporter } from "../logic/progress-reporter.js";
+
+// Creates a lockfile for a package whose files are hosted on a self-hosted GitLab and a Gitea instance
+// and reproduces the package from it. Both hosts are served locally, so no network access is needed.
+// Every request that doesn't match the URL scheme of the host fails, e.g. a raw file URL that was resolved twice.
+// Usage: node test/lockfile-test.js
+
+const COMMIT_SHA = '0123456789abcdef0123456789abcdef01234567';
+
+/**
+ * Starts a server that answers the requests of a code hosting service
+ * @param {Object<string, string>} routes The response bodies keyed by the request path including the query
+ * @returns {Promise<Object>} An object with the 'baseUrl' of the server, the 'requests' it received and 'close()'
+ */
+async function startHost(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (routes[req.url] === undefined) {
+      res.writeHead(404);
+      return res.end('Not Found');
+    }
+    res.end(routes[req.url]);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => server.close()
+  };
+}
+
+async function main() {
+  const gitlab = await startHost({
+    '/api/v4/projects/owner%2Fsensor/repository/commits/HEAD': JSON.stringify({ id: COMMIT_SHA }),
+    [`/owner/sensor/-/raw/${COMMIT_SHA}/src/sensor.py`]: 'print("sensor")\n'
+  });
+  const gitea = await startHost({
+    '/api/v1/repos/owner/utils/commits?limit=1': JSON.stringify([{ sha: COMMIT_SHA }]),
+    [`/api/v1/repos/owner/utils/raw/src/utils.py?ref=${COMMIT_SHA}`]: 'print("utils")\n'
+  });
+
+  const options = {
+    hosts: [
+      { type: 'gitlab', scheme: 'lab', baseUrl: gitlab.baseUrl },
+      { type: 'gitea', scheme: 'tea', baseUrl: gitea.baseUrl }
+    ],
+    tokens: {},
+    reporter: new SilentReporter()
+  };
+  const customPackageJson = {
+    urls: [
+      ["sensor/sensor.py", "lab:owner/sensor/src/sensor.py"],
+      ["sensor/utils.py", "tea:owner/utils/src/utils.py"]
+    ]
+  };
+
+  try {
+    const archiver = new RepositoryArchiver('lab:owner/sensor', null, null, customPackageJson, { ...options, createLockfile: true });
+    const archiveResult = await archiver.archiveRepository();
+    console.debug('Locked files:');
+    console.debug(Object.values(archiveResult.lockfile.packages).flatMap(lockedPackage => lockedPackage.files.map(file => file.url)).join('\n'));
+
+    const reproducer = new RepositoryArchiver('lab:owner/sensor', null, null, null, { ...options, lockfile: archiveResult.lockfile });
+    const reproducedResult = await reproducer.archiveRepository();
+
+    if (JSON.stringify(reproducedResult.fileHashes) !== JSON.stringify(archiveResult.fileHashes)) {
+      throw new Error('The reproduced files differ from the locked ones');
+    }
+    console.debug('✅ Done. Requests:');
+    console.debug([...gitlab.requests, ...gitea.requests].join('\n'));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error([...gitlab.requests, ...gitea.requests].join('\n'));
+    process.exitCode = 1;
+  } finally {
+    gitlab.close();
+    gitea.close();
+  }
+}
+
+main()
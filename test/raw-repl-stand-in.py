@@ -0,0 +1,133 @@
+# Local stand-in for a board to test the transports without hardware.
+# It implements the friendly REPL prompt, the raw REPL and raw-paste mode on stdin / stdout
+# and executes the received code in the interpreter it runs in.
+# Run it with the MicroPython unix port: micropython raw-repl-stand-in.py <root directory>
+# The root directory acts as the file system of the board and contains its lib folder.
+# See transport-test.js which exposes it on a TCP socket and translates the line endings
+# to \r\n like the terminal of a board.
+import sys
+import os
+
+try:
+    import traceback
+except ImportError:
+    traceback = None
+
+BANNER = b"MicroPython stand-in\r\nType \"help()\" for more information.\r\n>>> "
+RAW_REPL_BANNER = b"raw REPL; CTRL-B to exit\r\n>"
+RAW_PASTE_WINDOW = 128
+
+stdin = sys.stdin.buffer
+stdout = sys.stdout.buffer
+
+
+def write(data):
+    stdout.write(data)
+    if hasattr(stdout, "flush"):
+        stdout.flush()
+
+
+def read_byte():
+    data = stdin.read(1)
+    return data[0] if data else None
+
+
+def print_exception(error):
+    if hasattr(sys, "print_exception"):
+        sys.print_exception(error, sys.stdout)
+    else:
+        traceback.print_exception(type(error), error, error.__traceback__, file=sys.stdout)
+        sys.stdout.flush()
+
+
+def execute(code, namespace):
+    # Same output format as the raw REPL: stdout, EOT, the exception if any, EOT
+    try:
+        exec(code, namespace)
+    except BaseException as error:
+        write(b"\x04")
+        print_exception(error)
+        write(b"\x04")
+        return
+    write(b"\x04\x04")
+
+
+def read_raw_paste():
+    # Flow control: the host may send another window whenever it receives 0x01
+    write(b"R\x01" + bytes([RAW_PASTE_WINDOW & 0xFF, RAW_PASTE_WINDOW >> 8]) + b"\x01")
+    data = bytearray()
+    while True:
+        c = read_byte()
+        if c is None or c == 0x04:
+            write(b"\x04")
+            return data
+        data.append(c)
+        if len(data) % RAW_PASTE_WINDOW == 0:
+            write(b"\x01")
+
+
+def new_namespace():
+    return {"__name__": "__main__"}
+
+
+def main(root):
+    os.chdir(root)
+    try:
+        os.mkdir("lib")
+    except OSError:
+        pass
+    # The packager installs to the first path that contains /lib
+    sys.path.insert(0, root + "/lib")
+
+    namespace = new_namespace()
+    raw = False
+    line = bytearray()
+    write(BANNER)
+
+    while True:
+        c = read_byte()
+        if c is None:
+            break
+        if c == 0x01:
+            raw = True
+            line = bytearray()
+            write(b"\r\n" + RAW_REPL_BANNER)
+        elif c == 0x02:
+            raw = False
+            line = bytearray()
+            write(b"\r\n" + BANNER)
+        elif c == 0x03:
+            line = bytearray()
+            if not raw:
+                write(b"\r\n>>> ")
+        elif c == 0x04:
+            if line:
+                write(b"OK")
+                execute(bytes(line), namespace)
+                write(b">")
+            else:
+                namespace = new_namespace()
+                write((b"OK" if raw else b"") + b"\r\nMPY: soft reboot\r\n" + (RAW_REPL_BANNER if raw else BANNER))
+            line = bytearray()
+        elif raw and c == 0x05 and not line:
+            if read_byte() == ord("A") and read_byte() == 0x01:
+                code = read_raw_paste()
+                execute(bytes(code), namespace)
+                write(b">")
+        elif raw:
+            line.append(c)
+        elif c == 0x0D:
+            write(b"\r\n")
+            if line:
+                try:
+                    exec(bytes(line), namespace)
+                except BaseException as error:
+                    print_exception(error)
+            line = bytearray()
+            write(b">>> ")
+        else:
+            line.append(c)
+            write(bytes([c]))
+
+
+main(sys.argv[1] if len(sys.argv) > 1 else os.getcwd())
@@ -0,0 +1,74 @@
+import { spawn } from 'child_process';
+import { Transform } from 'stream';
+import net from 'net';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Packager } from "../logic/packager.js";
+import { TcpTransport } from "../logic/board-transport.js";
+
+// Installs a package over the TCP transport on a local stand-in for a board:
+// The MicroPython unix port runs raw-repl-stand-in.py and its stdin / stdout are exposed on a TCP socket.
+// Usage: node test/transport-test.js [repository] [path of the micropython binary]
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TEST_DATA = {
+  "repository": "https://github.com/arduino/arduino-modulino-mpy",
+  "interpreter": "micropython"
+};
+
+/**
+ * Creates a stream that translates \n to \r\n as the terminal of a board does.
+ * The unix port only prints \n.
+ * @returns {Transform} The stream
+ */
+function createLineEndingTranslator() {
+  let previousByte = null;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const bytes = [];
+      for (const byte of chunk) {
+        if (byte === 0x0a && previousByte !== 0x0d) bytes.push(0x0d);
+        bytes.push(byte);
+        previousByte = byte;
+      }
+      callback(null, Buffer.from(bytes));
+    }
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const repository = args[0] || TEST_DATA.repository;
+  const interpreter = args[1] || TEST_DATA.interpreter;
+
+  const rootDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'upy-stand-in-'));
+  let standIn = null;
+
+  // Every connection gets a fresh interpreter, just like a board after a reset
+  const server = net.createServer((socket) => {
+    standIn = spawn(interpreter, [path.join(__dirname, 'raw-repl-stand-in.py'), rootDirectory]);
+    standIn.stdout.pipe(createLineEndingTranslator()).pipe(socket);
+    socket.pipe(standIn.stdin);
+    standIn.stderr.on('data', (data) => console.error(data.toString()));
+    socket.on('close', () => standIn.kill());
+    socket.on('error', () => standIn.kill());
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const packager = new Packager(new TcpTransport('127.0.0.1', server.address().port));
+  try {
+    const result = await packager.packageAndInstall(repository);
+    console.debug(`✅ Done (${result.mode}). Files in ${rootDirectory}/lib:`);
+    console.debug(fs.readdirSync(path.join(rootDirectory, 'lib'), { recursive: true }).join('\n'));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+  } finally {
+    server.close();
+    standIn?.kill();
+  }
+}
+
+main()